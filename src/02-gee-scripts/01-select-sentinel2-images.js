@@ -9,18 +9,28 @@
 // The IDs of the images at each step can be found in the console.
 
 
-// Used to find the geometry of the selected images. For more info checkout
-// https://eatlas.org.au/data/uuid/f7468d15-12be-4e3f-a246-b2882a324f59
-var s2Tiles = ee.FeatureCollection("users/ericlawrey/World_ESA_Sentinel-2-tiling-grid");
-
 // === README: Change the path to your local copy of the utils code ====
 // The path to the util code must be an absolute path including the
 // username and repository
 var utils = require('users/ericlawrey/CS_AIMS_Sentinel2-marine_V0:utils');
+var tileRegistry = require('users/ericlawrey/CS_AIMS_Sentinel2-marine_V0:tile-registry');
+var catalogue = require('users/ericlawrey/CS_AIMS_Sentinel2-marine_V0:catalogue-coral-sea');
+
+// The reef names and regions of the catalogued tiles come from the catalogue.
+tileRegistry.add_catalogue(catalogue);
  
-// Date range to iterate through the Sentinel 2 imagery.
-var START_DATE = ee.Date('2015-01-01');
-var END_DATE = ee.Date('2021-09-20');
+// Initial settings of the image filters. These can all be changed with the
+// filter controls in the user interface without editing the code.
+
+// Date range to iterate through the Sentinel 2 imagery (YYYY-MM-dd).
+var START_DATE = '2015-01-01';
+var END_DATE = '2021-09-20';
+
+// Months of the year to include (1 - 12). If START_MONTH is after END_MONTH
+// then the range wraps around the end of the year, i.e. 11 - 3 gives 
+// November to March.
+var START_MONTH = 1;
+var END_MONTH = 12;
 
 // Maximum cloud cover to include the image. Setting a low value removes
 // images that have lots of cloud that will probably not be useful for
@@ -29,138 +39,101 @@ var END_DATE = ee.Date('2021-09-20');
 // images are useful for generating final composite images. 
 // In some areas where there are very few images available. In which case
 // this can be raised up to 100 (%) to allow previewing of all available
-// imagery.
+// imagery. For example for Mellish Reef (56KRF) this was raised to 10 (%).
 var CLOUDY_PIXEL_PERCENTAGE = 1;
 
-// If true then images that are only a small fraction of the tile are
-// removed. This is useful in some areas where there are both useful
-// full tile images (the preferred images) mixed in with lots of 
-// small tile fragments. Typically the fragments are less likely to
-// have cloud (due to gaps) and so they slow down the image selection
-// process.
-// Set this to false if the tile correspond to an area where you need
+// Minimum percentage of the tile that the valid data of an image must cover
+// for the image to be included. Images that are only a small fraction of 
+// the tile are fragments from the edge of a satellite pass. Raising this
+// is useful in some areas where there are both useful full tile images 
+// (the preferred images) mixed in with lots of small tile fragments. 
+// Typically the fragments are less likely to have cloud (due to gaps) and 
+// so they slow down the image selection process.
+// Set this to 0 (%) if the tile correspond to an area where you need
 // to get imagery for a small fragment.
-var REMOVE_SMALL_IMAGES = false;
-
-// Select the Sentinel 2 tiling grid to review the images for.
-// Use the map link below to find the tileID for the area of interest.
-// https://maps.eatlas.org.au/index.html?intro=false&z=7&ll=146.90137,-19.07287&l0=ea_ref%3AWorld_ESA_Sentinel-2-tiling-grid_Poly,ea_ea-be%3AWorld_Bright-Earth-e-Atlas-basemap,google_SATELLITE&v0=,,f
-var tileID;
+var MIN_TILE_COVERAGE = 0;
+
+// Sunglint correction method applied to the preview. Switch this to compare
+// the methods on the same images. One of 'default', 'adaptive', 'hedley', 
+// 'B8' or 'none'. See utils.SUNGLINT_METHODS.
+var SUNGLINT_METHOD = 'default';
+
+// Folder to save the review decisions to as table assets so that a review 
+// can be resumed after the Code Editor reloads. i.e. 'users/<username>/s2-reviews'
+// The folder must already exist. Each save creates a new asset named
+// review_{tileID}_{timestamp}. All the saved reviews for the tile are loaded on 
+// start, with the latest decision for each date being used. 
+// If null the reviews can only be saved as CSV to Google Drive.
+var REVIEW_ASSET_FOLDER = null;
+
+// Google Drive folder for the CSV copy of the review decisions.
+var REVIEW_DRIVE_FOLDER = 'EarthEngine/s2-reviews';
+
+// Name recorded with each review decision. Can also be changed in the UI.
+var REVIEWER = '';
+
+// Where the footprint of the tile comes from. 'grid' looks up the tile in the
+// ESA tiling grid asset (s2Tiles). 'mgrs' calculates the footprint from the 
+// tileID (see mgrs.js) and so doesn't need the tiling grid asset.
+var TILE_GEOMETRY_SOURCE = 'grid';
+
+// Tiles shown on the map that can be selected by clicking on them.
+// With 'grid' this is the ESA tiling grid asset. For more info checkout
+// https://eatlas.org.au/data/uuid/f7468d15-12be-4e3f-a246-b2882a324f59
+// With 'mgrs' these are the calculated footprints of the tiles in the tile
+// registry. Other tiles can still be selected by entering the tile ID in the 
+// search box.
+var s2Tiles;
+if (TILE_GEOMETRY_SOURCE === 'mgrs') {
+  s2Tiles = utils.get_mgrs_tile_features(tileRegistry.entries.map(function(entry) {
+    return entry.tileId;
+  }));
+} else {
+  s2Tiles = ee.FeatureCollection("users/ericlawrey/World_ESA_Sentinel-2-tiling-grid");
+}
 
-// This script only processes one tileID. Uncomment the tileID of the area under investigation.
+// Sentinel 2 tile to review the images for when the script starts. Other tiles 
+// can be selected with the tile picker, by clicking on the map, or by entering 
+// any tile ID in the search box.
+// The tiles in the picker come from the catalogue and the tile-registry module,
+// which records the reefs on each tile. Add new tiles of interest to the registry.
 // Normally the process is to select the best images to use for subsequent processing
-// for each tile. Ensure that only one tileID is set then progressively record the Google Earth
-// image IDs of the best images. This can then be copied into 03-create-composite.
+// for each tile. Review one tile at a time and progressively rate the images of
+// each date. The resulting catalogue entry can then be copied into catalogue-coral-sea.js.
 // It typically takes 30 - 60 mins to preview all the images for a tile area (due to the limited
-// processing speed of the Google Earth Engine.)
-//
-// Note the tile selection and the matching reefs in each tile were determined using:
-//  - Sentinel 2 UTM Tiling Grid https://eatlas.org.au/data/uuid/f7468d15-12be-4e3f-a246-b2882a324f59
-//  - Coral Sea geomorphic features (JCU) https://eatlas.org.au/data/uuid/25685ba5-6583-494f-974d-cce2f3429b78
-// These were combined in 01-sentinel2-tile-selection map.
-// The comments for the tileID of 'Far North', 'North', 'Central', and 'South' represent latitudinal
-// regions in the Coral Sea. They are not based on any offical classification.
-// Where a reef has been split across multiple tiles then which section of the reef is
-// on the tile is indicated in brackets after the reef name.
-
-//tileID = '55LBK';     // Boot Reef, Portlock Reefs (Coral Sea) - Far North
-//tileID = '54LZP';     // Ashmore Reef (Coral Sea) - Far North
-//tileID = '55LDE';     // Osprey Reef (Coral Sea) - North
-//tileID = '55LEC';     // Bougainville Reef (Coral Sea) - Central
-//tileID = '55LGC';     // Diane Bank (Coral Sea) - Central
-//tileID = '55LHC';     // Willis Islets (Coral Sea) - Central
-//tileID = '55KEB';     // Holmes Reefs (West), Flora Reef, McDermott Bank (Coral Sea) - Central
-//tileID = '55KFB';     // Holmes Reefs (East) (Coral Sea) - Central
-//tileID = '55KGB';     // Herald Cays, Willis Islets, Magdelaine Cays (West) (Coral Sea) - Central
-//tileID = '55KHB';     // Magdelaine Cays, Coringa Islet (East), U/N reef (Coral Sea) - Central
-//tileID = '56KLG';     // North Lihou Reef (Coral Sea, Australia) - Central
-                        // (Boundaries: 25, Dry Reefs: 15, Cays/Islands: 6 )
-//tileID = '56KMG';     // North East Lihou Reef tip (Coral Sea, Australia) - Central
-tileID = '55KFA';     // Flinders, Dart Heralds Surprise (Coral Sea) - Central
-//tileID = '55KGA';     // Malay Reef, Magdelaine Cays, Coringa Islet (South), Abington Reef, 
-                        // U/N Reef (Coral Sea) - Central
-//tileID = '55KHA';     // Tregrosse Reefs, Diamond Islet West, Magdelaine Cays, Coringa Islet (South) 
-                        // (Coral Sea) - Central
-//tileID = '56KKF';     // Tregrosse Reefs, Diamond Islet (Coral Sea) - Central
-//tileID = '56KLF';     // (V0) Lihou reef (South West) (Coral Sea, Australia) - Central
-//tileID = '56KMF';     // Lihou reef (West) (Coral Sea, Australia) - Central
-//tileID = '56KQF';     // Mellish Reef (Coral Sea) - Central
-                        // This tile only had 2 images with < 1% cloud cover,
-                        // neither of them were useful.
-                        // Raising the threshold to 3% only gave 5 images, none
-                        // of which were useful. We therefore instead use the neighbouring
-                        // tile to pick up Mellish Reef.
-//tileID = '56KRF';     // Mellish Reef (Coral Sea) - Central
-                        // Raising the CLOUDY_PIXEL_PERCENTAGE to 10% still
-                        // only resulted in 6 images. All of which were used.
-//tileID = '56KME';     // (V0) Marion Reef (North) (Coral Sea, Australia) - Central
-//tileID = '56KMD';     // (V0) Marion Reef (South) (Coral Sea, Australia) - Central
-//tileID = '56KPC';     // Calder Bank, Coral Sea - South
-//tileID = '56KNB';     // Saumarez Reefs (North) (Coral Sea, Australia) - South
-//tileID = '56KPB';     // (V0) Frederick Reef (Coral Sea, Australia) - South
-//tileID = '56KQB';     // Kenn Reefs (Coral Sea) - South
-//tileID = '56KNA';     // Saumarez Reefs (South) (Coral Sea) - South
-//tileID = '56KQA';     // Wreck Reefs (Coral Sea) - South
-//tileID = '56KQV';     // Cato Reef (Coral Sea) - South
-//tileID = '55LCJ';     // Eastern Fields (PNG) - Far North (Just ouside Coral Sea Marine Park)
-
-
-// Sea mounts that probably don't have reefs.
-//tileID = '56KQU';     // Fraser Seamount - South
-//tileID = '56KQE';     // U/N Sea mount - Central AUS04634 - 29 m feature in marine chart 
-                      // Only partial image scenes. 16 images, but none with clear
-                      // view over reef area.
-//tileID = '57KTS';   // Selfridge Rock (https://web.archive.org/web/20130305015208/http://www.shom.fr/fileadmin/data-www/01-LE_SHOM/02-ACTUALITES/01-LES_COMMUNIQUES/fig_2_-_Sandy_Island.png)
-                    // Only one image and it has high cloud cover
-//tileID = '57KUS';   // Selfridge Rock 2 images but neither are useful.
-//tileID = '56KRB';   // Obstn Rep (1962) AUS04643 - only 1 image covered in clouds
-
-//tileID = '56KKG';   // Magdelaine Cays, Coringa Islet (Coral Sea, Australia) (Boundaries: 8, Dry Reefs: 2, Cays/Islands: 2 )
-
-
-// Potential shallow areas in Eastern Coral Sea
-// These areas were identified as having potentially shallow areas based
-// on the SRTM30-plus v8.0 dataset. 
-//tileID = '57KXT';   
-//tileID = '57KYT';       // Lansdowne Bank (potential 29 m Obstn)
-//tileID = '57KYS';
-//tileID = '57KZS';
-//tileID = '57KXS';
-//tileID = '57KWP';
-//tileID = '57JWN';
-
-// ------------- Global test reefs --------------
-// Reefs around the world for testing the definition of reef boundaries
-
-// Drowned coral atoll reefs because of subsidence 
-//tileID = '56NLP';   // Federated States of Micronesia
-//tileID = '55PHK';   // Federated States of Micronesia
-
-// Near surface drowned continental areas
-//tileID = '41LMJ';   // Saya de Malha Banks (1 image, not much vis)
-//tileID = '41LLJ';   // Saya de Malha Banks (6 images, 2 usable images)
-//tileID = '41LLK';   // Saya de Malha Banks 
-
-//tileID = '57KVV';   // Chesterfield Reefs
-//tileID = '57KVU';   // Chesterfield Reefs
-//tileID = '57KVT';   // Chesterfield Reefs
-//tileID = '57KVS';   // Chesterfield Reefs
-//tileID = '57KWS';   // Chesterfield Reefs
-//tileID = '57KWR';   // Chesterfield Reefs
-
-
-// Find the feature that corresponds to the specified tileID.
-// Filter to Australia. This is to reduce the number of tiles that need 
-// to be searched.
-//var ausTropicsTiles = s2Tiles.filterBounds(ee.Geometry.BBox(109, -33, 165, -7));
-//var tileFeature = ausTropicsTiles.filter(ee.Filter.equals('Name', tileID));
-var tileFeature = s2Tiles.filter(ee.Filter.equals('Name', tileID));
+// processing speed of the Google Earth Engine.) Use the 'Save review' button to save the
+// progress (see REVIEW_ASSET_FOLDER) so that the review can be resumed later. This only
+// queues the save, which happens once the tasks are run from the Tasks tab.
+var INITIAL_TILE_ID = '55KFA';     // Flinders, Dart Heralds Surprise (Coral Sea) - Central
+
+// Tile currently being reviewed. Set by loadTile().
+var tileID;
+var tileFeature;
+
+// Current settings of the image filters, changed by the filter controls.
+var filterSettings = {
+  startDate: START_DATE,
+  endDate: END_DATE,
+  startMonth: START_MONTH,
+  endMonth: END_MONTH,
+  cloudyPixelPercentage: CLOUDY_PIXEL_PERCENTAGE,
+  minTileCoverage: MIN_TILE_COVERAGE
+};
 
 
 // =================================================================
 //                         Functions
 // =================================================================
 
+// Adds the Sentinel 2 tiles (s2Tiles) and the outline of the current tile to
+// the map. These are the tiles that can be selected by clicking on the map.
+var addTileLayers = function() {
+  Map.addLayer(s2Tiles.style({color: '808080', fillColor: '00000000', width: 1}), 
+    {}, 'Sentinel-2 tiles', true);
+  Map.addLayer(tileFeature.style({color: 'FFFF00', fillColor: '00000000', width: 2}), 
+    {}, 'Selected tile '+tileID, true);
+};
+
 // Sets the image in the Google Earth Engine interface to the
 // specified date. This is called as part of clicking the next and
 // previous buttons.
@@ -173,13 +146,26 @@ var setImageByDate = function(date) {
   // Print the IDs to the console so the user can copy them if the
   // image is a good one.
   print(IDs);
+  // Keep the IDs so they can be recorded by the triage buttons.
+  currentIDs = IDs;
+  
+  // Show how much of the tile the images of this date cover, so that
+  // fragments can be recognised.
+  var index = selectedIndex;
+  coverageLabel.setValue('Tile coverage: ...');
+  getTileCoverage(imagesFiltered.geometry()).evaluate(function(coverage, error) {
+    if (index !== selectedIndex || error) {
+      return;
+    }
+    coverageLabel.setValue('Tile coverage: '+coverage.toFixed(0)+'%');
+  });
 
 
   // Don't perform the cloud removal because this is computationally
   // expensive and significantly slows down the calculation of the images.
   var visParams = {'min': 0, 'max': 1, 'gamma': 1};
   var composite = imagesFiltered
-    .map(utils.removeSunGlint)
+    .map(utils.get_sunglint_function(SUNGLINT_METHOD))
     .reduce(ee.Reducer.percentile([50],["p50"]))
     .rename(['B1','B2','B3','B4','B5','B6','B7','B8',
       'B8A','B9','B10','B11','B12','QA10','QA20','QA60']);
@@ -215,40 +201,585 @@ var setImageByDate = function(date) {
       max: [1700, 1900, 2000],
       gamma: [2, 2, 2]
     }, 'Sentinel-2 Raw',false);
+  
+  addTileLayers();
+};
+
 
+// Triage categories for the review of each date, from best to worst.
+var TRIAGE_CATEGORIES = ['Good', 'OK', 'Maybe', 'Reject'];
+
+// Review decisions for each date. Keyed by the date (YYYY-MM-dd), each with 
+// the category and the image IDs of that date. Pressing a triage button again
+// for the same date replaces the previous decision.
+var review = {};
+
+// Number of review decisions made since the review was last queued for saving. 
+// These are lost if the tile is changed, so changing the tile asks for confirmation.
+var unsavedDecisions = 0;
+
+// Reviews that have been queued for saving, keyed by tile ID, each with the 
+// name of the export and a copy of the review decisions. The export only 
+// happens once its task is run from the Tasks tab, so the decisions are kept 
+// here and restored when the tile is loaded again until loadReviews() finds 
+// the saved asset.
+var queuedReviews = {};
+
+// IDs of the images of the currently displayed date.
+var currentIDs = ee.List([]);
+
+// Returns the image IDs that have been given the specified category,
+// in date order.
+var getIDsByCategory = function(category) {
+  var ids = [];
+  Object.keys(review).sort().forEach(function(date) {
+    if (review[date].category === category) {
+      ids = ids.concat(review[date].ids);
+    }
+  });
+  return ids;
 };
 
+// Groups the reviewed images into the primary (R1) and secondary (R2)
+// reference composites and the left over maybe images, matching how the 
+// images are grouped in the catalogue (catalogue-coral-sea.js). R1 is made 
+// from the best category with images and R2 from the next best. Any Maybe
+// images that are not in R1 or R2 are recorded as maybe. Reject images are
+// not included.
+// Each group is a list of {category, ids} so the categories can be recorded
+// in the catalogue.
+var getReferenceGroups = function() {
+  var parts = ['Good', 'OK', 'Maybe'].map(function(category) {
+    return {category: category, ids: getIDsByCategory(category)};
+  }).filter(function(part) {
+    return part.ids.length > 0;
+  });
+  return {
+    R1: parts.slice(0, 1),
+    R2: parts.slice(1, 2),
+    maybe: parts.slice(2)
+  };
+};
 
-// ======================================================================
-//                             Main code
-// ======================================================================
+// Formats a group of image IDs from getReferenceGroups() as an image list of
+// a catalogue entry, with a comment recording the category of the images.
+var formatIDList = function(name, group) {
+  if (group.length === 0) {
+    return '    '+name+': []';
+  }
+  var total = 0;
+  group.forEach(function(part) { total += part.ids.length; });
+  // Separate the IDs with commas, but not the comments.
+  var count = 0;
+  var lines = [];
+  group.forEach(function(part) {
+    lines.push('      // '+part.category);
+    part.ids.forEach(function(id) {
+      count += 1;
+      lines.push('      "'+id+'"'+(count < total ? ',' : ''));
+    });
+  });
+  return '    '+name+': [\n'+lines.join('\n')+'\n    ]';
+};
 
-// Find all the images that correspond to the specied tile that are in the
-// date range and with a suitable cloud cover.
-var images = ee.ImageCollection('COPERNICUS/S2')
-    .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', CLOUDY_PIXEL_PERCENTAGE))
-    .filter(ee.Filter.gt('system:asset_size', 500E6))  // Remove small fragments of tiles
-    .filterDate(START_DATE, END_DATE)
-    .filter(ee.Filter.inList('MGRS_TILE', ee.List([tileID])));
+// Generates the catalogue entry for the reviewed images, ready to paste into
+// the entries of catalogue-coral-sea.js. The reef and region come from the
+// tile registry.
+var getCompositeCode = function() {
+  var groups = getReferenceGroups();
+  var counts = TRIAGE_CATEGORIES.map(function(category) {
+    return category+': '+getIDsByCategory(category).length;
+  });
+  var registryEntry = tileRegistry.get_entry(tileID);
+  var stats = 'searched: '+Object.keys(review).length+', total: '+collectionLength;
+  // The catalogue only records the CLOUDY_PIXEL_PERCENTAGE if it was not 1%.
+  if (filterSettings.cloudyPixelPercentage !== 1) {
+    stats += ', cloudyPixelPercentage: '+filterSettings.cloudyPixelPercentage;
+  }
+  return [
+    '  // '+counts.join(', ')+'. Dates '+filterSettings.startDate+' - '+filterSettings.endDate+
+      ', months '+filterSettings.startMonth+' - '+filterSettings.endMonth+
+      ', min tile coverage '+filterSettings.minTileCoverage+'%',
+    '  {',
+    "    tileId: '"+tileID+"',",
+    "    reef: '"+(registryEntry ? registryEntry.reef : '')+"',",
+    "    region: '"+(registryEntry && registryEntry.region ? registryEntry.region : '')+"',",
+    '    stats: {'+stats+'},',
+    formatIDList('R1', groups.R1)+',',
+    formatIDList('R2', groups.R2)+',',
+    formatIDList('maybe', groups.maybe),
+    '  },'
+  ].join('\n');
+};
 
-if (REMOVE_SMALL_IMAGES) {
-  images = images.filter(ee.Filter.gt('system:asset_size', 500E6));  // Remove small fragments of tiles
-}
+// Records the images of the current date under the category and moves
+// on to the next date. The triage buttons are disabled until the date and
+// image IDs are returned from the server so that a decision can't be 
+// recorded against the wrong date.
+var triageCurrentDate = function(category) {
+  var triageIndex = selectedIndex;
+  var triageTileID = tileID;
+  setTriageDisabled(true);
+  ee.Dictionary({date: dates.get(triageIndex), ids: currentIDs})
+    .evaluate(function(result, error) {
+      setTriageDisabled(false);
+      if (error) {
+        print('ERROR: Could not record the review: '+error);
+        return;
+      }
+      // Ignore the result if the date or tile was changed while waiting.
+      if (triageIndex !== selectedIndex || triageTileID !== tileID) {
+        return;
+      }
+      review[result.date] = {
+        category: category, 
+        ids: result.ids,
+        reviewer: reviewerBox.getValue(),
+        timestamp: new Date().toISOString(),
+        notes: notesBox.getValue()
+      };
+      unsavedDecisions += 1;
+      notesBox.setValue('');
+      updateReviewPanel();
+      if (selectedIndex < collectionLength - 1) {
+        selectedIndex += 1;
+        updateUI();
+      }
+    });
+};
+
+// Returns the review decisions as a table with one feature per image.
+var getReviewTable = function() {
+  var features = [];
+  Object.keys(review).sort().forEach(function(date) {
+    var decision = review[date];
+    decision.ids.forEach(function(id) {
+      features.push(ee.Feature(null, {
+        tile_id: tileID,
+        date: date,
+        image_id: id,
+        category: decision.category,
+        reviewer: decision.reviewer,
+        timestamp: decision.timestamp,
+        notes: decision.notes
+      }));
+    });
+  });
+  return ee.FeatureCollection(features);
+};
+
+// Saves the review decisions as a table asset (if REVIEW_ASSET_FOLDER is set)
+// and as a CSV in Google Drive. These are created as tasks that need to be
+// run from the Tasks tab.
+var saveReview = function() {
+  if (Object.keys(review).length === 0) {
+    print('WARNING: No review decisions to save');
+    return;
+  }
+  // i.e. 20211019T031522
+  var timestamp = new Date().toISOString().replace(/[-:]/g, '').substr(0, 15);
+  var name = 'review_'+tileID+'_'+timestamp;
+  var table = getReviewTable();
+  if (REVIEW_ASSET_FOLDER) {
+    Export.table.toAsset({
+      collection: table,
+      description: name+'_asset',
+      assetId: REVIEW_ASSET_FOLDER+'/'+name
+    });
+  }
+  Export.table.toDrive({
+    collection: table,
+    description: name+'_csv',
+    folder: REVIEW_DRIVE_FOLDER,
+    fileNamePrefix: name,
+    fileFormat: 'CSV',
+    selectors: ['tile_id', 'date', 'image_id', 'category', 'reviewer', 'timestamp', 'notes']
+  });
+  var decisions = {};
+  Object.keys(review).forEach(function(date) {
+    decisions[date] = review[date];
+  });
+  queuedReviews[tileID] = {name: name, review: decisions};
+  unsavedDecisions = 0;
+  updateSaveStatus();
+  print('Review of '+tileID+' queued for saving as '+name+'. Run the tasks in the Tasks tab.');
+};
+
+// Shows whether the review of the tile has a save waiting to be run.
+var updateSaveStatus = function() {
+  var queued = queuedReviews[tileID];
+  if (!queued) {
+    saveStatusLabel.setValue('');
+    return;
+  }
+  saveStatusLabel.setValue('Save queued as '+queued.name+'. It is not saved until the '+
+    'tasks are run from the Tasks tab. '+
+    (REVIEW_ASSET_FOLDER ? 'Until the asset is found the decisions are kept for this session.' :
+    'No REVIEW_ASSET_FOLDER is set, so the decisions are only kept for this session.'));
+};
+
+// Adds the decisions of a queued save of the tile that has not been found
+// by loadReviews() yet, unless they have been replaced by later decisions.
+var restoreQueuedReview = function() {
+  var queued = queuedReviews[tileID];
+  if (queued) {
+    Object.keys(queued.review).forEach(function(date) {
+      var existing = review[date];
+      if (!existing || existing.timestamp < queued.review[date].timestamp) {
+        review[date] = queued.review[date];
+      }
+    });
+  }
+  updateSaveStatus();
+};
+
+// Loads the review decisions saved for this tile in REVIEW_ASSET_FOLDER.
+// Where a date has been reviewed more than once the latest decision is used.
+// The callback is called once the reviews are loaded, or if there are none.
+var loadReviews = function(callback) {
+  if (!REVIEW_ASSET_FOLDER) {
+    callback();
+    return;
+  }
+  var loadingTileID = tileID;
+  ee.data.listAssets(REVIEW_ASSET_FOLDER, {}, function(result, error) {
+    if (error) {
+      print('WARNING: Could not list the saved reviews in '+REVIEW_ASSET_FOLDER+': '+error);
+      callback();
+      return;
+    }
+    // Ignore the result if another tile was selected while loading.
+    if (loadingTileID !== tileID) {
+      return;
+    }
+    var prefix = 'review_'+tileID+'_';
+    var assetIds = (result.assets || []).map(function(asset) {
+      return asset.id || asset.name;
+    }).filter(function(id, i) {
+      var assetName = id.substr(id.lastIndexOf('/')+1);
+      return result.assets[i].type === 'TABLE' && assetName.indexOf(prefix) === 0;
+    });
+    // A queued save is complete once its asset exists.
+    var queued = queuedReviews[tileID];
+    if (queued && assetIds.some(function(id) {
+      return id.substr(id.lastIndexOf('/')+1) === queued.name;
+    })) {
+      delete queuedReviews[tileID];
+    }
+    if (assetIds.length === 0) {
+      callback();
+      return;
+    }
+    ee.FeatureCollection(assetIds.map(function(id) { return ee.FeatureCollection(id); }))
+      .flatten()
+      .evaluate(function(table, error) {
+        if (loadingTileID !== tileID) {
+          return;
+        }
+        if (error) {
+          print('WARNING: Could not load the saved reviews: '+error);
+          callback();
+          return;
+        }
+        table.features.forEach(function(feature) {
+          var p = feature.properties;
+          var existing = review[p.date];
+          if (existing && existing.timestamp === p.timestamp) {
+            // Another image from the same decision.
+            if (existing.ids.indexOf(p.image_id) < 0) {
+              existing.ids.push(p.image_id);
+            }
+          } else if (!existing || existing.timestamp < p.timestamp) {
+            review[p.date] = {
+              category: p.category,
+              ids: [p.image_id],
+              reviewer: p.reviewer,
+              timestamp: p.timestamp,
+              notes: p.notes
+            };
+          }
+        });
+        print('Loaded '+Object.keys(review).length+' reviewed dates for '+tileID+
+          ' from '+assetIds.length+' saved review(s)');
+        callback();
+      });
+  });
+};
 
-// Find all the dates of the images images in the collection. Do this so we can
-// set through the dates when reviewing the images.
+// Returns the index of the first date at or after the start index that 
+// hasn't been reviewed, or -1 if all the dates have been reviewed.
+var findUnreviewedIndex = function(startIndex) {
+  for (var i = startIndex; i < dateList.length; i++) {
+    if (!review.hasOwnProperty(dateList[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Shows the running lists of each category and the generated code.
+var updateReviewPanel = function() {
+  var summary = TRIAGE_CATEGORIES.map(function(category) {
+    var categoryDates = Object.keys(review).sort().filter(function(date) {
+      return review[date].category === category;
+    });
+    return category+' ('+categoryDates.length+'): '+categoryDates.join(', ');
+  });
+  reviewSummaryLabel.setValue(summary.join('\n'));
+  compositeCodeLabel.setValue(getCompositeCode());
+};
+
+// Returns the distinct dates (YYYY-MM-dd) of the images in a collection.
+// Do this so we can step through the dates when reviewing the images.
 // From https://gis.stackexchange.com/questions/307115/earth-engine-get-dates-from-imagecollection
-var dates = images
+var getImageDates = function(collection) {
+  return collection
     .map(function(image) {
       return ee.Feature(null, {'date': image.date().format('YYYY-MM-dd')});
     })
     .distinct('date')
     .aggregate_array('date');
+};
 
-print(dates);
+// Returns the percentage (0 - 100) of the current tile that is covered by
+// the geometry, as an ee.Number. The geometry is normally the footprint of
+// the valid data of one or more images.
+var getTileCoverage = function(geometry) {
+  var tileGeometry = tileFeature.geometry();
+  return geometry.intersection(tileGeometry, ee.ErrorMargin(100)).area(100)
+    .divide(tileGeometry.area(100)).multiply(100);
+};
 
-// Zoom to our tile of interest.
-Map.centerObject(tileFeature, 9);
+// Returns the images of the current tile after each step of the image filters,
+// in the order they are applied. The last step is the images to review.
+var getFilterSteps = function() {
+  var tileImages = ee.ImageCollection('COPERNICUS/S2')
+      .filter(ee.Filter.inList('MGRS_TILE', ee.List([tileID])));
+  var dateRange = tileImages
+      .filterDate(filterSettings.startDate, filterSettings.endDate);
+  var months = dateRange
+      .filter(ee.Filter.calendarRange(filterSettings.startMonth, filterSettings.endMonth, 'month'));
+  var cloud = months
+      .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', filterSettings.cloudyPixelPercentage));
+  // The image footprint only covers the valid data and so is smaller than
+  // the tile for fragments.
+  var fragments = cloud;
+  if (filterSettings.minTileCoverage > 0) {
+    fragments = cloud
+      .map(function(image) {
+        return image.set('TILE_COVERAGE', getTileCoverage(image.geometry()));
+      })
+      .filter(ee.Filter.gte('TILE_COVERAGE', filterSettings.minTileCoverage));
+  }
+  return {
+    dateRange: dateRange,
+    months: months,
+    cloud: cloud,
+    fragments: fragments
+  };
+};
+
+// Re-runs the image filters for the current tile and resets the navigation
+// to the first unreviewed date. The review decisions are kept. The number of 
+// dates remaining after each filter is shown next to its control.
+var filterRequest = 0;
+var applyFilters = function() {
+  var steps = getFilterSteps();
+  images = steps.fragments;
+  dates = getImageDates(images);
+  print(tileID, dates);
+  
+  // Reset the navigation state.
+  currentIDs = ee.List([]);
+  selectedIndex = 0;
+  collectionLength = 0;
+  dateList = [];
+  prevButton.setDisabled(true);
+  nextButton.setDisabled(true);
+  Map.layers().reset();
+  addTileLayers();
+  dateLabel.setValue('Date: loading ...');
+  progressLabel.setValue('');
+  coverageLabel.setValue('');
+  
+  // Results from earlier filter settings, or from another tile, are ignored.
+  filterRequest += 1;
+  var request = filterRequest;
+  var countLabels = [dateRangeCountLabel, monthCountLabel, cloudCountLabel, fragmentCountLabel];
+  countLabels.forEach(function(label) { label.setValue('...'); });
+  ee.List([steps.dateRange, steps.months, steps.cloud, steps.fragments].map(function(step) {
+    return getImageDates(step).size();
+  })).evaluate(function(counts, error) {
+    if (request !== filterRequest || error) {
+      return;
+    }
+    countLabels.forEach(function(label, i) { label.setValue(counts[i]+' dates'); });
+  });
+  
+  // Get the dates asynchronously, so we know how far to step.
+  // This async process because we want the value on the client but the dates
+  // are a server side value.
+  dates.evaluate(function(list, error) {
+    if (request !== filterRequest) {
+      return;
+    }
+    if (error) {
+      print('ERROR: Could not find the images for '+tileID+': '+error);
+      return;
+    }
+    dateList = list;
+    collectionLength = list.length;
+    if (collectionLength === 0) {
+      dateLabel.setValue('Date: no images match the filters');
+      updateReviewPanel();
+      return;
+    }
+    selectedIndex = Math.max(findUnreviewedIndex(0), 0);
+    updateUI();
+    updateReviewPanel();
+  });
+};
+
+// Switches the review to a different tile. This loads any saved reviews for
+// the tile and then rebuilds the images, dates and navigation for the tile.
+var loadTile = function(newTileID) {
+  tileID = newTileID;
+  if (TILE_GEOMETRY_SOURCE === 'mgrs') {
+    tileFeature = utils.get_mgrs_tile_features([tileID]);
+  } else {
+    tileFeature = s2Tiles.filter(ee.Filter.equals('Name', tileID));
+  }
+  
+  // Reset the review. Load any saved reviews before filtering the images
+  // so that the review resumes at the first unreviewed date.
+  review = {};
+  unsavedDecisions = 0;
+  filterRequest += 1;
+  confirmPanel.style().set('shown', false);
+  showPickerTile();
+  prevButton.setDisabled(true);
+  nextButton.setDisabled(true);
+  Map.layers().reset();
+  addTileLayers();
+  
+  var entry = tileRegistry.get_entry(tileID);
+  idLabel.setValue('Tile: '+(entry ? tileRegistry.get_label(entry) : tileID));
+  dateLabel.setValue('Date: loading ...');
+  progressLabel.setValue('');
+  coverageLabel.setValue('');
+  updateReviewPanel();
+  updateSaveStatus();
+  
+  // Zoom to our tile of interest.
+  Map.centerObject(tileFeature, 9);
+  
+  var loadingTileID = tileID;
+  loadReviews(function() {
+    if (loadingTileID === tileID) {
+      restoreQueuedReview();
+      applyFilters();
+    }
+  });
+};
+
+// Updates a filter setting from a control and re-runs the filters.
+var setFilter = function(name, value) {
+  filterSettings[name] = value;
+  applyFilters();
+};
+
+// Updates the start or end date from the date textboxes. Invalid dates are
+// reported and the filters are left unchanged.
+var setFilterDate = function(name, value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    print('ERROR: Invalid date "'+value+'", expecting YYYY-MM-dd, i.e. 2015-01-01');
+    return;
+  }
+  var startDate = name === 'startDate' ? value : filterSettings.startDate;
+  var endDate = name === 'endDate' ? value : filterSettings.endDate;
+  if (startDate >= endDate) {
+    print('ERROR: The start date ('+startDate+') must be before the end date ('+endDate+')');
+    return;
+  }
+  setFilter(name, value);
+};
+
+// Sets the tile picker items to the registry tiles that match the search text.
+// If the search text is a tile ID that is not in the registry then it is
+// added as an item so any tile can be reviewed.
+var updateTilePicker = function(search) {
+  var items = tileRegistry.search(search).map(function(entry) {
+    return {label: tileRegistry.get_label(entry), value: entry.tileId};
+  });
+  var text = (search || '').trim().toUpperCase();
+  if (/^\d{2}[C-HJ-NP-X][A-HJ-NP-Z][A-HJ-NP-V]$/.test(text) && 
+      tileRegistry.get_entry(text) === null) {
+    items.unshift({label: text+' (not in registry)', value: text});
+  }
+  tilePicker.items().reset(items);
+  tilePicker.setPlaceholder(items.length+' tiles');
+  showPickerTile();
+};
+
+// Shows the current tile in the tile picker, if it is one of the items.
+var showPickerTile = function() {
+  var isItem = tilePicker.items().getJsArray().some(function(item) {
+    return item.value === tileID;
+  });
+  tilePicker.setValue(isItem ? tileID : null, false);
+};
+
+// Tile waiting for the confirmation to discard the unsaved review decisions.
+var pendingTileID = null;
+
+// Switches to a different tile. If there are unsaved review decisions then
+// the switch waits for the reviewer to save or discard them, as they are 
+// lost when the tile changes.
+var requestTile = function(newTileID) {
+  if (newTileID === tileID) {
+    return;
+  }
+  if (unsavedDecisions === 0) {
+    loadTile(newTileID);
+    return;
+  }
+  pendingTileID = newTileID;
+  confirmLabel.setValue('There are '+unsavedDecisions+' unsaved review decisions for '+
+    tileID+'. Queue them for saving or discard them to switch to '+newTileID+'. '+
+    'Queued decisions are kept for this session until the save task is run.');
+  confirmPanel.style().set('shown', true);
+};
+
+// Selects the tile under the point clicked on the map from s2Tiles, when the
+// select tile mode is on. The current tile is kept if it contains the point. 
+// Otherwise, where tiles overlap, tiles in the registry are preferred.
+var selectTileAtPoint = function(coords) {
+  if (!selectTileCheckbox.getValue()) {
+    return;
+  }
+  var point = ee.Geometry.Point(coords.lon, coords.lat);
+  s2Tiles.filterBounds(point).aggregate_array('Name').evaluate(function(names, error) {
+    if (error || !names || names.length === 0) {
+      return;
+    }
+    selectTileCheckbox.setValue(false);
+    if (names.indexOf(tileID) >= 0) {
+      return;
+    }
+    var registered = names.filter(function(name) {
+      return tileRegistry.get_entry(name) !== null;
+    });
+    requestTile(registered.length > 0 ? registered[0] : names[0]);
+  });
+};
+
+// ======================================================================
+//                             Main code
+// ======================================================================
+
+// Images and dates of the current tile. Set by loadTile().
+var images;
+var dates;
 
 
 // Sets up next and previous buttons used to navigate through previews of the
@@ -265,17 +796,183 @@ var introPanel = ui.Panel([
     value: 'Find images',
     style: {fontWeight: 'bold', fontSize: '24px', margin: '10px 5px'}
   }),
-  ui.Label('IDs are listed in Console. Copy and paste the good ones.')
+  ui.Label('Rate each date with the buttons below. IDs are also listed in Console.')
+]);
+
+// Tile picker. The search box filters the tiles in the picker by tile ID,
+// reef name, group or region. Tiles can also be selected by clicking on the map
+// after ticking the select tile checkbox.
+var tileSearchBox = ui.Textbox({
+  placeholder: 'Search tiles, i.e. Lihou or 56K',
+  onChange: function(text) { updateTilePicker(text); }
+});
+var tilePicker = ui.Select({
+  items: [],
+  onChange: function(value) {
+    if (value) {
+      requestTile(value);
+    }
+  },
+  style: {stretch: 'horizontal'}
+});
+// Map clicks only change the tile when this is ticked, so that clicking
+// around the map while reviewing doesn't switch tiles.
+var selectTileCheckbox = ui.Checkbox({
+  label: 'Select tile by clicking on the map',
+  value: false,
+  onChange: function(checked) {
+    Map.style().set('cursor', checked ? 'crosshair' : 'hand');
+  }
+});
+
+// Asks to save or discard the unsaved review decisions before changing tiles.
+var confirmLabel = ui.Label({style: {color: 'red', margin: '2px 0'}});
+var confirmPanel = ui.Panel({
+  widgets: [
+    confirmLabel,
+    ui.Panel([
+      ui.Button('Queue save and switch', function() {
+        saveReview();
+        loadTile(pendingTileID);
+      }),
+      ui.Button('Discard and switch', function() {
+        loadTile(pendingTileID);
+      }),
+      ui.Button('Cancel', function() {
+        pendingTileID = null;
+        confirmPanel.style().set('shown', false);
+        showPickerTile();
+      })
+    ], ui.Panel.Layout.Flow('horizontal'))
+  ],
+  style: {shown: false}
+});
+
+// Triage buttons. Each records the images of the current date under its
+// category and moves to the next date.
+var triagePanel = new ui.Panel(
+    TRIAGE_CATEGORIES.map(function(category) {
+      return new ui.Button(category, function() { triageCurrentDate(category); });
+    }),
+    ui.Panel.Layout.Flow('horizontal'));
+
+// Disables the triage buttons while a decision is being recorded.
+var setTriageDisabled = function(disabled) {
+  triagePanel.widgets().forEach(function(button) {
+    button.setDisabled(disabled);
+  });
+};
+
+// Reviewer and notes recorded with each triage decision.
+var reviewerBox = ui.Textbox({placeholder: 'Reviewer', value: REVIEWER});
+var notesBox = ui.Textbox({placeholder: 'Notes for this date'});
+
+// Jumps to the next date that hasn't been reviewed.
+var nextUnreviewedButton = new ui.Button('Next unreviewed', function() {
+  var index = findUnreviewedIndex(selectedIndex+1);
+  if (index < 0) {
+    print('All the dates after this one have been reviewed');
+    return;
+  }
+  selectedIndex = index;
+  updateUI();
+});
+
+// Filter controls. Each re-runs the image filters for the tile and shows 
+// the number of dates remaining after that filter, so the search can be 
+// widened when there are too few useful images.
+var MONTH_ITEMS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
+  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'].map(function(name, i) {
+    return {label: name, value: String(i+1)};
+  });
+var startDateBox = ui.Textbox({
+  value: START_DATE, 
+  onChange: function(value) { setFilterDate('startDate', value); },
+  style: {width: '90px'}
+});
+var endDateBox = ui.Textbox({
+  value: END_DATE, 
+  onChange: function(value) { setFilterDate('endDate', value); },
+  style: {width: '90px'}
+});
+var startMonthSelect = ui.Select({
+  items: MONTH_ITEMS, 
+  value: String(START_MONTH),
+  onChange: function(value) { setFilter('startMonth', parseInt(value, 10)); }
+});
+var endMonthSelect = ui.Select({
+  items: MONTH_ITEMS, 
+  value: String(END_MONTH),
+  onChange: function(value) { setFilter('endMonth', parseInt(value, 10)); }
+});
+// Debounced so that dragging the slider doesn't re-run the filters at every step.
+var cloudSlider = ui.Slider({
+  min: 0, max: 100, step: 1, value: CLOUDY_PIXEL_PERCENTAGE,
+  onChange: ui.util.debounce(function(value) { 
+    setFilter('cloudyPixelPercentage', value); 
+  }, 500),
+  style: {stretch: 'horizontal'}
+});
+var coverageSlider = ui.Slider({
+  min: 0, max: 100, step: 5, value: MIN_TILE_COVERAGE,
+  onChange: ui.util.debounce(function(value) { 
+    setFilter('minTileCoverage', value); 
+  }, 500),
+  style: {stretch: 'horizontal'}
+});
+var dateRangeCountLabel = ui.Label();
+var monthCountLabel = ui.Label();
+var cloudCountLabel = ui.Label();
+var fragmentCountLabel = ui.Label();
+
+// Returns a row of filter controls followed by its count of matching dates.
+var makeFilterRow = function(widgets, countLabel) {
+  return ui.Panel(widgets.concat([countLabel]), ui.Panel.Layout.Flow('horizontal'));
+};
+var filterPanel = ui.Panel([
+  ui.Label({value: 'Filters', style: {fontWeight: 'bold', fontSize: '18px'}}),
+  makeFilterRow([ui.Label('Dates'), startDateBox, ui.Label('to'), endDateBox], 
+    dateRangeCountLabel),
+  makeFilterRow([ui.Label('Months'), startMonthSelect, ui.Label('to'), endMonthSelect], 
+    monthCountLabel),
+  makeFilterRow([ui.Label('Max cloud %'), cloudSlider], cloudCountLabel),
+  makeFilterRow([ui.Label('Min tile coverage %'), coverageSlider], fragmentCountLabel)
 ]);
 
+// Panel showing the review decisions so far and the generated catalogue
+// entry to create the composites.
+var reviewSummaryLabel = ui.Label({style: {whiteSpace: 'pre', margin: '2px 0'}});
+var compositeCodeLabel = ui.Label({
+  style: {whiteSpace: 'pre', fontFamily: 'monospace', fontSize: '11px'}
+});
+var saveStatusLabel = ui.Label({style: {color: 'gray', margin: '2px 0'}});
+var reviewPanel = ui.Panel({
+  widgets: [
+    filterPanel,
+    ui.Label({value: 'Review', style: {fontWeight: 'bold', fontSize: '18px'}}),
+    reviewSummaryLabel,
+    ui.Label({value: 'Catalogue entry (copy into catalogue-coral-sea.js)', 
+      style: {fontWeight: 'bold'}}),
+    compositeCodeLabel,
+    ui.Button('Print code to Console', function() { print(getCompositeCode()); }),
+    ui.Button('Save review', saveReview),
+    saveStatusLabel
+  ],
+  style: {width: '450px'}
+});
+ui.root.add(reviewPanel);
+
 
 // Setup the user interface
 var dateLabel = ui.Label({style: {margin: '2px 0'}});
 var progressLabel = ui.Label({style: {margin: '2px 0'}});
+var coverageLabel = ui.Label({style: {margin: '2px 0'}});
 var idLabel = ui.Label({style: {margin: '2px 0'}});
 var mainPanel = ui.Panel({
   //widgets: [introPanel, imagePanel, idLabel, dateLabel, progressLabel, buttonPanel,],
-  widgets: [introPanel, idLabel, dateLabel, progressLabel, buttonPanel,],
+  widgets: [introPanel, tileSearchBox, tilePicker, selectTileCheckbox, confirmPanel, idLabel, dateLabel, coverageLabel, progressLabel, 
+    buttonPanel, triagePanel,
+    reviewerBox, notesBox, nextUnreviewedButton],
   style: {position: 'bottom-left', width: '340px'}
 });
 Map.add(mainPanel);
@@ -284,18 +981,15 @@ Map.add(mainPanel);
 
 var selectedIndex = 0;
 var collectionLength = 0;
-// Get the total number of images asynchronously, so we know how far to step.
-// This async process because we want the value on the client but the size
-// is a server side value.
-dates.size().evaluate(function(length) {
-  collectionLength = length;
-  updateUI();
-});
+// Dates of the images on the client, used to find the unreviewed dates.
+var dateList = [];
 
 
 var updateUI = function() {
   dates.get(selectedIndex).evaluate(function(date) {
-    dateLabel.setValue('Date: ' + date);
+    // Show the review decision if the date has already been rated.
+    dateLabel.setValue('Date: ' + date + 
+      (review.hasOwnProperty(date) ? ' ('+review[date].category+')' : ''));
   });
   progressLabel.setValue('index: '+(selectedIndex+1)+' of '+(collectionLength));
   setImageByDate(dates.get(selectedIndex));
@@ -315,3 +1009,9 @@ var setImage = function(button, increment) {
 // Set up the next and previous buttons.
 prevButton.onClick(function(button) { setImage(button, -1); });
 nextButton.onClick(function(button) { setImage(button, 1); });
+
+// Select tiles by clicking on the map, when the select tile mode is on.
+Map.onClick(selectTileAtPoint);
+
+updateTilePicker('');
+loadTile(INITIAL_TILE_ID);
@@ -28,9 +28,14 @@ var IMAGE_IDS =
 		"COPERNICUS/S2/20210802T004709_20210802T004707_T55LBK"
   ];
 
-// Find the bounds of all the tiles that the images are in. Restrict the search
-// to the tropics where reefs are found. This is to speed up the code.
-var tilesGeometry = utils.get_s2_tiles_geometry(IMAGE_IDS, ee.Geometry.BBox(-180, -33, 180, 33));
+// Sunglint correction method applied to the preview. Switch this to compare
+// the methods on the same images. One of 'default', 'adaptive', 'hedley', 
+// 'B8' or 'none'. See utils.SUNGLINT_METHODS.
+var SUNGLINT_METHOD = 'default';
+
+// Find the bounds of all the tiles that the images are in. The search area
+// is determined from the tile IDs.
+var tilesGeometry = utils.get_s2_tiles_geometry(IMAGE_IDS);
 
 var s2_cloud_collection = utils.get_s2_cloud_collection(IMAGE_IDS, tilesGeometry);
 
@@ -39,7 +44,7 @@ Map.centerObject(tilesGeometry, 9);
 
 // Adjust the collection of images
 var collection = s2_cloud_collection;
-  //.map(utils.removeSunGlint);
+  //.map(utils.get_sunglint_function(SUNGLINT_METHOD));
 
 var listOfImage = collection.toList(collection.size());
 
@@ -90,7 +95,7 @@ var updateUI = function() {
   // Don't perform the cloud removal because this is computationally
   // expensive and significantly slows down the calculation of the images.
   var visParams = {'min': 0, 'max': 1, 'gamma': 1};
-  var composite = utils.removeSunGlint(image)
+  var composite = utils.get_sunglint_function(SUNGLINT_METHOD)(image)
     .rename(['B1','B2','B3','B4','B5','B6','B7','B8',
       'B8A','B9','B10','B11','B12','QA10','QA20','QA60']);
   var includeCloudmask = false;
@@ -0,0 +1,827 @@
+// Copyright 2021 Eric Lawrey - Australian Institute of Marine Science
+// MIT License https://mit-license.org/
+
+// This script is written to run on the Google Earth Engine.
+//
+// Catalogue of the Sentinel 2 images selected for each tile in the Coral Sea.
+// The images were chosen using the 01-select-sentinel2-images script.
+// The composites are created from this catalogue by
+// 03-create-composite-Coral-Sea using utils.s2_composite_catalogue().
+//
+// Each entry corresponds to one Sentinel 2 tile and has the following
+// structure:
+// {
+//   tileId:  Sentinel 2 tile ID, i.e. '55KFA'
+//   reef:    Names of the reefs on the tile. Where a reef has been split
+//            across multiple tiles then which section of the reef is
+//            on the tile is indicated in brackets after the reef name.
+//   region:  Latitudinal region in the Coral Sea ('Far North', 'North',
+//            'Central' or 'South'). These are not based on any official
+//            classification.
+//   stats:   Review statistics. searched and total are the number of dates
+//            reviewed out of the total number available. cloudyPixelPercentage
+//            is the CLOUDY_PIXEL_PERCENTAGE used in 01-select if it was not 1%.
+//   bonus:   (optional) true for tiles that were only checked to ensure no
+//            reefs were missed, such as sea mounts.
+//   notes:   (optional) Free text notes on the image selection.
+//   R1:      Image IDs of the primary reference composite, made from the best
+//            images available.
+//   R2:      Image IDs of the secondary reference composite, made from the next
+//            best images. Empty if there were not enough images.
+//   maybe:   Image IDs that were reviewed but not used in either composite.
+// }
+// Comments within the image lists record the quality rating of the images.
+
+exports.name = 'Coral Sea';
+
+exports.entries = [
+  {
+    tileId: '55LBK',
+    reef: 'Boot Reef, Portlock Reefs',
+    region: 'Far North',
+    stats: {searched: 19, total: 19, cloudyPixelPercentage: 1},
+    notes: 'There were not sufficient good images to create a second reference ' +
+      'image.',
+    R1: [
+      // Maybe
+      "COPERNICUS/S2/20190115T004709_20190115T004705_T55LBK",
+      "COPERNICUS/S2/20190510T004711_20190510T004710_T55LBK",
+      "COPERNICUS/S2/20190907T004711_20190907T004705_T55LBK",
+      "COPERNICUS/S2/20200613T004711_20200613T004712_T55LBK",
+      "COPERNICUS/S2/20200822T004711_20200822T004712_T55LBK",
+      "COPERNICUS/S2/20210802T004709_20210802T004707_T55LBK"
+    ],
+    R2: [],
+    maybe: []
+  },
+  {
+    tileId: '54LZP',
+    reef: 'Ashmore Reef',
+    region: 'Far North',
+    stats: {},
+    R1: [
+      "COPERNICUS/S2/20180813T004711_20180813T004705_T54LZP",
+      "COPERNICUS/S2/20200822T004711_20200822T004712_T54LZP",
+      "COPERNICUS/S2/20210603T004709_20210603T004707_T54LZP"
+    ],
+    R2: [
+      "COPERNICUS/S2/20210723T004709_20210723T004708_T54LZP",
+      "COPERNICUS/S2/20200414T004711_20200414T004705_T54LZP"
+    ],
+    maybe: [
+      "COPERNICUS/S2/20160505T004712_20160505T004711_T54LZP",
+      "COPERNICUS/S2/20160823T004902_20160823T021200_T54LZP",
+      "COPERNICUS/S2/20170823T004659_20170823T004702_T54LZP",
+      "COPERNICUS/S2/20200613T004711_20200613T004712_T54LZP"
+    ]
+  },
+  {
+    tileId: '55LDE',
+    reef: 'Osprey Reef',
+    region: 'North',
+    stats: {searched: 40, total: 65},
+    R1: [
+      "COPERNICUS/S2/20161215T003032_20161215T003028_T55LDE",
+      "COPERNICUS/S2/20170713T002711_20170713T002708_T55LDE",
+      "COPERNICUS/S2/20181016T002701_20181016T002704_T55LDE",
+      "COPERNICUS/S2/20181115T002701_20181115T002702_T55LDE"
+    ],
+    R2: [
+      "COPERNICUS/S2/20160529T003042_20160529T003038_T55LDE",
+      "COPERNICUS/S2/20160608T002733_20160608T033407_T55LDE",
+      "COPERNICUS/S2/20170124T003031_20170124T003025_T55LDE",
+      "COPERNICUS/S2/20171205T002659_20171205T002656_T55LDE",
+      "COPERNICUS/S2/20171230T003031_20171230T003026_T55LDE",
+      "COPERNICUS/S2/20180213T002659_20180213T002700_T55LDE",
+      "COPERNICUS/S2/20181011T002709_20181011T002703_T55LDE",
+      "COPERNICUS/S2/20181016T002701_20181016T002704_T55LDE",
+      "COPERNICUS/S2/20181105T002701_20181105T002703_T55LDE"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55LEC',
+    reef: 'Bougainville Reef',
+    region: 'Central',
+    stats: {searched: 30, total: 43},
+    notes: '3 Good and 2 OK images in R1.',
+    R1: [
+      "COPERNICUS/S2/20180812T002659_20180812T002702_T55LEC",
+      "COPERNICUS/S2/20180822T002659_20180822T002700_T55LEC",
+      "COPERNICUS/S2/20190906T002709_20190906T002709_T55LEC",
+      "COPERNICUS/S2/20160419T003034_20160419T015417_T55LEC",
+      "COPERNICUS/S2/20170613T003031_20170613T003033_T55LEC"
+    ],
+    R2: [
+      "COPERNICUS/S2/20170827T003029_20170827T003028_T55LEC",
+      "COPERNICUS/S2/20180213T002659_20180213T002700_T55LEC",
+      "COPERNICUS/S2/20180713T002709_20180713T002923_T55LEC",
+      "COPERNICUS/S2/20190613T002711_20190613T002710_T55LEC",
+      "COPERNICUS/S2/20190827T002709_20190827T002712_T55LEC",
+      "COPERNICUS/S2/20200304T002709_20200304T002705_T55LEC"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55LGC',
+    reef: 'Diane Bank',
+    region: 'Central',
+    stats: {searched: 30, total: 62},
+    notes: '2 Good and 4 OK images in R1.',
+    R1: [
+      "COPERNICUS/S2/20160903T002102_20160903T032316_T55LGC",
+      "COPERNICUS/S2/20170720T002111_20170720T002106_T55LGC",
+      "COPERNICUS/S2/20170730T002111_20170730T002107_T55LGC",
+      "COPERNICUS/S2/20170928T002051_20170928T002051_T55LGC",
+      "COPERNICUS/S2/20180111T002049_20180111T002046_T55LGC",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T55LGC"
+    ],
+    R2: [
+      "COPERNICUS/S2/20160605T002112_20160605T002110_T55LGC",
+      "COPERNICUS/S2/20170715T002109_20170715T002105_T55LGC",
+      "COPERNICUS/S2/20170814T002109_20170814T002103_T55LGC",
+      "COPERNICUS/S2/20170824T002059_20170824T002101_T55LGC",
+      "COPERNICUS/S2/20180426T002101_20180426T002056_T55LGC",
+      "COPERNICUS/S2/20180720T002049_20180720T002052_T55LGC",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55LGC",
+      "COPERNICUS/S2/20180814T002051_20180814T002054_T55LGC",
+      "COPERNICUS/S2/20180928T002049_20180928T002048_T55LGC"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55LHC',
+    reef: 'Willis Islets',
+    region: 'Central',
+    stats: {searched: 40, total: 63},
+    notes: '2 Good and 4 OK images in R1.',
+    R1: [
+      "COPERNICUS/S2/20170720T002111_20170720T002106_T55LHC",
+      "COPERNICUS/S2/20200405T002051_20200405T002051_T55LHC",
+      "COPERNICUS/S2/20180819T002049_20180819T002047_T55LHC",
+      "COPERNICUS/S2/20180928T002049_20180928T002048_T55LHC",
+      "COPERNICUS/S2/20190416T002059_20190416T002100_T55LHC",
+      "COPERNICUS/S2/20190720T002101_20190720T002100_T55LHC"
+    ],
+    R2: [
+      "COPERNICUS/S2/20160903T002102_20160903T032316_T55LHC",
+      "COPERNICUS/S2/20180302T002049_20180302T002045_T55LHC",
+      "COPERNICUS/S2/20170913T002059_20170913T002056_T55LHC",
+      "COPERNICUS/S2/20180605T002101_20180605T002055_T55LHC",
+      "COPERNICUS/S2/20180725T002101_20180725T002055_T55LHC",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55LHC",
+      "COPERNICUS/S2/20200410T002049_20200410T002051_T55LHC",
+      "COPERNICUS/S2/20200729T002059_20200729T002057_T55LHC"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55KEB',
+    reef: 'Holmes Reefs (West), Flora Reef, McDermott Bank',
+    region: 'Central',
+    stats: {searched: 35, total: 56},
+    notes: '1 Excellent and 3 Good images in R1, OK images in R2.',
+    R1: [
+      "COPERNICUS/S2/20180812T002659_20180812T002702_T55KEB",
+      "COPERNICUS/S2/20160608T002733_20160608T033407_T55KEB",
+      "COPERNICUS/S2/20180728T002711_20180728T002708_T55KEB",
+      "COPERNICUS/S2/20190703T002711_20190703T002712_T55KEB"
+    ],
+    R2: [
+      "COPERNICUS/S2/20170514T002711_20170514T002710_T55KEB",
+      "COPERNICUS/S2/20170708T002709_20170708T003116_T55KEB",
+      "COPERNICUS/S2/20180713T002709_20180713T002923_T55KEB",
+      "COPERNICUS/S2/20190618T002719_20190618T002715_T55KEB"
+    ],
+    maybe: [
+      "COPERNICUS/S2/20160509T003042_20160509T003038_T55KEB",
+      "COPERNICUS/S2/20160916T002702_20160916T033357_T55KEB",
+      "COPERNICUS/S2/20160926T003032_20160926T015230_T55KEB",
+      "COPERNICUS/S2/20161006T002702_20161006T033359_T55KEB",
+      "COPERNICUS/S2/20180213T002659_20180213T002700_T55KEB",
+      "COPERNICUS/S2/20180419T002711_20180419T002709_T55KEB",
+      "COPERNICUS/S2/20180802T002709_20180802T002704_T55KEB"
+    ]
+  },
+  {
+    tileId: '55KFB',
+    reef: 'Holmes Reefs (East)',
+    region: 'Central',
+    stats: {searched: 70, total: 116},
+    notes: 'R1: 2 Excellent right, 2 Good right and 5 OK left images. R2: 6 OK ' +
+      'right and 5 Maybe left images.',
+    R1: [
+      "COPERNICUS/S2/20180426T002101_20180426T002056_T55KFB",
+      "COPERNICUS/S2/20190918T002051_20190918T002054_T55KFB",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T55KFB",
+      "COPERNICUS/S2/20180908T002049_20180908T002045_T55KFB",
+      "COPERNICUS/S2/20170514T002711_20170514T002710_T55KFB",
+      "COPERNICUS/S2/20180419T002711_20180419T002709_T55KFB",
+      "COPERNICUS/S2/20190812T002711_20190812T002711_T55KFB",
+      "COPERNICUS/S2/20190827T002709_20190827T002712_T55KFB",
+      "COPERNICUS/S2/20190926T002709_20190926T002707_T55KFB"
+    ],
+    R2: [
+      "COPERNICUS/S2/20160605T002112_20160605T002110_T55KFB",
+      "COPERNICUS/S2/20170220T002101_20170220T002059_T55KFB",
+      "COPERNICUS/S2/20170720T002111_20170720T002106_T55KFB",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55KFB",
+      "COPERNICUS/S2/20190220T001631_20190220T001625_T55KFB",
+      "COPERNICUS/S2/20190903T002059_20190903T002057_T55KFB",
+      "COPERNICUS/S2/20160916T002702_20160916T033357_T55KFB",
+      "COPERNICUS/S2/20160926T003032_20160926T015230_T55KFB",
+      "COPERNICUS/S2/20170906T002659_20170906T002700_T55KFB",
+      "COPERNICUS/S2/20180802T002709_20180802T002704_T55KFB",
+      "COPERNICUS/S2/20190718T002719_20190718T002716_T55KFB"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55KGB',
+    reef: 'Herald Cays, Willis Islets, Magdelaine Cays (West)',
+    region: 'Central',
+    stats: {searched: 40, total: 68},
+    notes: '3 Excellent images in R1. 2 Good and 3 OK images in R2.',
+    R1: [
+      "COPERNICUS/S2/20170720T002111_20170720T002106_T55KGB",
+      "COPERNICUS/S2/20180426T002101_20180426T002056_T55KGB",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T55KGB"
+    ],
+    R2: [
+      "COPERNICUS/S2/20170715T002109_20170715T002105_T55KGB",
+      "COPERNICUS/S2/20190401T002101_20190401T002055_T55KGB",
+      "COPERNICUS/S2/20170814T002109_20170814T002103_T55KGB",
+      "COPERNICUS/S2/20180220T002049_20180220T002046_T55KGB",
+      "COPERNICUS/S2/20190220T001631_20190220T001625_T55KGB"
+    ],
+    maybe: [
+      "COPERNICUS/S2/20160605T002112_20160605T002110_T55KGB",
+      "COPERNICUS/S2/20160625T002112_20160625T002106_T55KGB",
+      "COPERNICUS/S2/20160913T002102_20160913T014402_T55KGB",
+      "COPERNICUS/S2/20170824T002059_20170824T002101_T55KGB",
+      "COPERNICUS/S2/20170923T002009_20170923T002012_T55KGB",
+      "COPERNICUS/S2/20180215T002051_20180215T002102_T55KGB",
+      "COPERNICUS/S2/20180421T002059_20180421T002053_T55KGB",
+      "COPERNICUS/S2/20180720T002049_20180720T002052_T55KGB",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55KGB",
+      "COPERNICUS/S2/20180908T002049_20180908T002045_T55KGB",
+      "COPERNICUS/S2/20190312T002051_20190312T002050_T55KGB"
+    ]
+  },
+  {
+    tileId: '55KHB',
+    reef: 'Magdelaine Cays, Coringa Islet (East), U/N reef',
+    region: 'Central',
+    stats: {searched: 40, total: 63},
+    notes: 'Good images in R1, OK images in R2.',
+    R1: [
+      "COPERNICUS/S2/20160605T002110_20160605T014413_T55KHB",
+      "COPERNICUS/S2/20170814T002109_20170814T002103_T55KHB",
+      "COPERNICUS/S2/20180426T002101_20180426T002056_T55KHB",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T55KHB"
+    ],
+    R2: [
+      "COPERNICUS/S2/20160516T002112_20160516T002111_T55KHB",
+      "COPERNICUS/S2/20170715T002109_20170715T002105_T55KHB",
+      "COPERNICUS/S2/20170720T002111_20170720T002106_T55KHB",
+      "COPERNICUS/S2/20180908T002049_20180908T002045_T55KHB",
+      "COPERNICUS/S2/20190720T002101_20190720T002100_T55KHB"
+    ],
+    maybe: [
+      "COPERNICUS/S2/20170220T002101_20170220T002059_T55KHB",
+      "COPERNICUS/S2/20170521T002111_20170521T002108_T55KHB",
+      "COPERNICUS/S2/20170809T002111_20170809T002107_T55KHB",
+      "COPERNICUS/S2/20180725T002101_20180725T002055_T55KHB",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55KHB",
+      "COPERNICUS/S2/20180809T002049_20180809T002049_T55KHB",
+      "COPERNICUS/S2/20190526T002109_20190526T002103_T55KHB",
+      "COPERNICUS/S2/20190705T002109_20190705T002103_T55KHB",
+      "COPERNICUS/S2/20190903T002059_20190903T002057_T55KHB"
+    ]
+  },
+  {
+    tileId: '56KLG',
+    reef: 'North Lihou Reef',
+    region: 'Central',
+    stats: {searched: 25, total: 39},
+    notes: '1 Excellent, 2 Good and 3 OK images in R1.',
+    R1: [
+      "COPERNICUS/S2/20190905T001111_20190905T001109_T56KLG",
+      "COPERNICUS/S2/20170905T000731_20170905T000731_T56KLG",
+      "COPERNICUS/S2/20190702T001119_20190702T001117_T56KLG",
+      "COPERNICUS/S2/20180113T001101_20180113T001101_T56KLG",
+      "COPERNICUS/S2/20180602T001111_20180602T001110_T56KLG",
+      "COPERNICUS/S2/20180612T001111_20180612T001108_T56KLG"
+    ],
+    R2: [
+      "COPERNICUS/S2/20170925T001111_20170925T001105_T56KLG",
+      "COPERNICUS/S2/20170930T001059_20170930T001053_T56KLG",
+      "COPERNICUS/S2/20180217T001059_20180217T001101_T56KLG",
+      "COPERNICUS/S2/20180329T001109_20180329T001104_T56KLG",
+      "COPERNICUS/S2/20181005T001109_20181005T001104_T56KLG",
+      "COPERNICUS/S2/20181010T001111_20181010T001106_T56KLG",
+      "COPERNICUS/S2/20181015T001109_20181015T001105_T56KLG",
+      "COPERNICUS/S2/20190617T001111_20190617T001123_T56KLG",
+      "COPERNICUS/S2/20190910T001109_20190910T001110_T56KLG",
+      "COPERNICUS/S2/20190930T001109_20190930T001109_T56KLG"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KMG',
+    reef: 'North East Lihou Reef tip',
+    region: 'Central',
+    stats: {searched: 25, total: 43},
+    notes: '1 Excellent, 2 Good and 1 OK image in R1.',
+    R1: [
+      "COPERNICUS/S2/20190905T001111_20190905T001109_T56KMG",
+      "COPERNICUS/S2/20180602T001111_20180602T001110_T56KMG",
+      "COPERNICUS/S2/20190702T001119_20190702T001117_T56KMG",
+      "COPERNICUS/S2/20180612T001111_20180612T001108_T56KMG"
+    ],
+    R2: [
+      "COPERNICUS/S2/20180113T001101_20180113T001101_T56KMG", // Has sunglint
+      "COPERNICUS/S2/20180217T001059_20180217T001101_T56KMG", // Has sunglint
+      "COPERNICUS/S2/20181005T001109_20181005T001104_T56KMG", // Has sunglint
+      "COPERNICUS/S2/20190528T001111_20190528T001112_T56KMG",
+      "COPERNICUS/S2/20190910T001109_20190910T001110_T56KMG"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55KFA',
+    reef: 'Flinders, Dart Heralds Surprise',
+    region: 'Central',
+    stats: {searched: 20, total: 66},
+    notes: '1 Excellent and 4 Good images in R1, OK images in R2.',
+    R1: [
+      "COPERNICUS/S2/20180426T002101_20180426T002056_T55KFA",
+      "COPERNICUS/S2/20161013T002102_20161013T032259_T55KFA",
+      "COPERNICUS/S2/20170824T002059_20170824T002101_T55KFA",
+      "COPERNICUS/S2/20180131T002049_20180131T002047_T55KFA",
+      "COPERNICUS/S2/20180809T002049_20180809T002049_T55KFA"
+    ],
+    R2: [
+      "COPERNICUS/S2/20160804T002112_20160804T002109_T55KFA",
+      "COPERNICUS/S2/20160923T002102_20160923T032251_T55KFA",
+      "COPERNICUS/S2/20161102T002102_20161102T032425_T55KFA",
+      "COPERNICUS/S2/20170720T002111_20170720T002106_T55KFA",
+      "COPERNICUS/S2/20171227T002051_20171227T002048_T55KFA",
+      "COPERNICUS/S2/20180720T002049_20180720T002052_T55KFA",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55KFA",
+      "COPERNICUS/S2/20180804T002051_20180804T002054_T55KFA",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T55KFA"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55KGA',
+    reef: 'Malay Reef, Magdelaine Cays, Coringa Islet (South), Abington Reef, U/N Reef',
+    region: 'Central',
+    stats: {searched: 30, total: 81},
+    notes: 'Excellent images in R1, OK images in R2.',
+    R1: [
+      "COPERNICUS/S2/20180426T002101_20180426T002056_T55KGA",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55KGA",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T55KGA"
+    ],
+    R2: [
+      "COPERNICUS/S2/20160327T001902_20160327T065441_T55KGA",
+      "COPERNICUS/S2/20170720T002111_20170720T002106_T55KGA",
+      "COPERNICUS/S2/20170824T002059_20170824T002101_T55KGA",
+      "COPERNICUS/S2/20180131T002049_20180131T002047_T55KGA",
+      "COPERNICUS/S2/20180809T002049_20180809T002049_T55KGA"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '55KHA',
+    reef: 'Tregrosse Reefs, Diamond Islet West, Magdelaine Cays, Coringa Islet (South)',
+    region: 'Central',
+    stats: {searched: 31, total: 74},
+    R1: [
+      // Excellent
+      "COPERNICUS/S2/20180426T002101_20180426T002056_T55KHA",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T55KHA",
+      // Good
+      "COPERNICUS/S2/20160605T002110_20160605T014413_T55KHA",
+      "COPERNICUS/S2/20170715T002109_20170715T002105_T55KHA"
+    ],
+    R2: [
+      // OK images
+      "COPERNICUS/S2/20170809T002111_20170809T002107_T55KHA",
+      "COPERNICUS/S2/20180516T002101_20180516T002057_T55KHA",
+      "COPERNICUS/S2/20180730T002049_20180730T002051_T55KHA",
+      "COPERNICUS/S2/20180809T002049_20180809T002049_T55KHA",
+      "COPERNICUS/S2/20180908T002049_20180908T002045_T55KHA"
+    ],
+    maybe: [
+      // Left Maybe
+      "COPERNICUS/S2/20160516T002111_20160516T014440_T55KHA",
+      "COPERNICUS/S2/20160903T002102_20160903T002105_T55KHA",
+      "COPERNICUS/S2/20170220T002101_20170220T002059_T55KHA",
+      "COPERNICUS/S2/20170824T002059_20170824T002101_T55KHA",
+      "COPERNICUS/S2/20180421T002059_20180421T002053_T55KHA",
+      "COPERNICUS/S2/20180725T002101_20180725T002055_T55KHA"
+    ]
+  },
+  {
+    tileId: '56KKF',
+    reef: 'Tregrosse Reefs, Diamond Islet',
+    region: 'Central',
+    stats: {searched: 65, total: 125},
+    R1: [
+      // 1 Excellent and 4 good right images
+      "COPERNICUS/S2/20180811T001111_20180811T001108_T56KKF",
+      "COPERNICUS/S2/20170905T000731_20170905T000731_T56KKF",
+      "COPERNICUS/S2/20170925T001111_20170925T001105_T56KKF",
+      "COPERNICUS/S2/20180831T001111_20180831T001107_T56KKF",
+      "COPERNICUS/S2/20190227T001101_20190227T001104_T56KKF",
+      // 2 Excellent, 2 good left images
+      "COPERNICUS/S2/20180809T002049_20180809T002049_T56KKF",
+      "COPERNICUS/S2/20180829T002049_20180829T002045_T56KKF",
+      "COPERNICUS/S2/20180913T002051_20180913T002051_T56KKF",
+      "COPERNICUS/S2/20160605T002112_20160605T002110_T56KKF"
+    ],
+    R2: [
+      //OK Right
+      "COPERNICUS/S2/20180428T001109_20180428T001107_T56KKF",
+      "COPERNICUS/S2/20180612T001111_20180612T001108_T56KKF",
+      "COPERNICUS/S2/20180905T001059_20180905T001059_T56KKF",
+      "COPERNICUS/S2/20181005T001109_20181005T001104_T56KKF",
+      "COPERNICUS/S2/20181114T001109_20181114T001106_T56KKF",
+      //OK left
+      "COPERNICUS/S2/20180516T002101_20180516T002057_T56KKF",
+      "COPERNICUS/S2/20180908T002049_20180908T002045_T56KKF",
+      //Maybe left
+      "COPERNICUS/S2/20180421T002059_20180421T002053_T56KKF",
+      "COPERNICUS/S2/20190401T002101_20190401T002055_T56KKF"
+    ],
+    maybe: [
+      // Maybe right
+      "COPERNICUS/S2/20171219T001059_20171219T001056_T56KKF",
+      "COPERNICUS/S2/20180113T001101_20180113T001101_T56KKF",
+      "COPERNICUS/S2/20180607T001109_20180607T001106_T56KKF",
+      "COPERNICUS/S2/20180727T001109_20180727T001106_T56KKF",
+      "COPERNICUS/S2/20181010T001111_20181010T001106_T56KKF"
+    ]
+  },
+  {
+    tileId: '56KLF',
+    reef: 'Lihou Reef (South West)',
+    region: 'Central',
+    stats: {searched: 36, total: 53},
+    notes: 'AUS00614 - Nautical charts.',
+    R1: [
+      // Excellent
+      "COPERNICUS/S2/20190905T001111_20190905T001109_T56KLF",
+      // Good
+      "COPERNICUS/S2/20170905T000731_20170905T000731_T56KLF",
+      "COPERNICUS/S2/20180217T001059_20180217T001101_T56KLF",
+      "COPERNICUS/S2/20180811T001111_20180811T001108_T56KLF",
+      "COPERNICUS/S2/20190702T001119_20190702T001117_T56KLF",
+      "COPERNICUS/S2/20190811T001119_20190811T001116_T56KLF"
+    ],
+    R2: [
+      // OK
+      "COPERNICUS/S2/20170925T001111_20170925T001105_T56KLF",
+      "COPERNICUS/S2/20180905T001059_20180905T001059_T56KLF",
+      "COPERNICUS/S2/20181005T001109_20181005T001104_T56KLF",
+      "COPERNICUS/S2/20181010T001111_20181010T001106_T56KLF",
+      "COPERNICUS/S2/20190523T001119_20190523T001117_T56KLF",
+      "COPERNICUS/S2/20190612T001119_20190612T001116_T56KLF",
+      "COPERNICUS/S2/20190627T001111_20190627T001113_T56KLF",
+      "COPERNICUS/S2/20190821T001119_20190821T001114_T56KLF",
+      "COPERNICUS/S2/20190930T001109_20190930T001109_T56KLF"
+    ],
+    maybe: [
+      "COPERNICUS/S2/20170930T001059_20170930T001053_T56KLF",
+      "COPERNICUS/S2/20180202T001101_20180202T001104_T56KLF",
+      "COPERNICUS/S2/20180212T001111_20180212T001105_T56KLF",
+      "COPERNICUS/S2/20180612T001111_20180612T001108_T56KLF",
+      "COPERNICUS/S2/20180707T001109_20180707T001107_T56KLF",
+      "COPERNICUS/S2/20180727T001109_20180727T001106_T56KLF",
+      "COPERNICUS/S2/20180806T001109_20180806T001104_T56KLF",
+      "COPERNICUS/S2/20190123T001109_20190123T001109_T56KLF",
+      "COPERNICUS/S2/20190212T001109_20190212T001109_T56KLF"
+    ]
+  },
+  {
+    tileId: '56KMF',
+    reef: 'Lihou Reef (West)',
+    region: 'Central',
+    stats: {searched: 33, total: 45},
+    R1: [
+      // Excellent
+      "COPERNICUS/S2/20190905T001111_20190905T001109_T56KMF",
+      "COPERNICUS/S2/20200820T001121_20200820T001115_T56KMF",
+      // Good
+      "COPERNICUS/S2/20170905T000731_20170905T000731_T56KMF",
+      "COPERNICUS/S2/20190702T001119_20190702T001117_T56KMF",
+      "COPERNICUS/S2/20200731T001121_20200731T001115_T56KMF"
+    ],
+    R2: [
+      "COPERNICUS/S2/20180727T001109_20180727T001106_T56KMF",
+      "COPERNICUS/S2/20180806T001109_20180806T001104_T56KMF",
+      "COPERNICUS/S2/20180811T001111_20180811T001108_T56KMF",
+      "COPERNICUS/S2/20200502T001111_20200502T001112_T56KMF",
+      "COPERNICUS/S2/20200815T001109_20200815T001112_T56KMF"
+    ],
+    maybe: [
+      "COPERNICUS/S2/20180707T001109_20180707T001107_T56KMF"
+    ]
+  },
+  {
+    tileId: '56KRF',
+    reef: 'Mellish Reef',
+    region: 'Central',
+    stats: {searched: 6, total: 6, cloudyPixelPercentage: 10},
+    notes: 'Mellish Reef lies right on the boundary between two image tiles. The ' +
+      'original planned tile of 56KQF did not have any good images and so the ' +
+      'neighbouring 56KRF tile images were used instead. The ' +
+      'CLOUDY_PIXEL_PERCENTAGE was raised to 10% rather than the usual 1%. ' +
+      'This still only resulted in 6 images, of which all images were used.',
+    R1: [
+      "COPERNICUS/S2/20160107T235158_20160108T011818_T56KRF",
+      "COPERNICUS/S2/20160406T234954_20160407T043438_T56KRF",
+      "COPERNICUS/S2/20160416T235041_20160417T061750_T56KRF"
+    ],
+    R2: [
+      "COPERNICUS/S2/20151128T234812_20170509T143613_T56KRF",
+      "COPERNICUS/S2/20151208T234812_20170605T053015_T56KRF",
+      "COPERNICUS/S2/20160117T234812_20160117T235108_T56KRF"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KME',
+    reef: 'Marion Reef (North)',
+    region: 'Central',
+    stats: {},
+    notes: 'Good images in R1, OK images in R2.',
+    R1: [
+      "COPERNICUS/S2/20170905T000731_20170905T000731_T56KME",
+      "COPERNICUS/S2/20190811T001119_20190811T001116_T56KME",
+      "COPERNICUS/S2/20190905T001111_20190905T001109_T56KME"
+    ],
+    R2: [
+      "COPERNICUS/S2/20170925T001111_20170925T001105_T56KME",
+      "COPERNICUS/S2/20180212T001111_20180212T001105_T56KME",
+      "COPERNICUS/S2/20180806T001109_20180806T001104_T56KME",
+      "COPERNICUS/S2/20180915T001059_20180915T001100_T56KME",
+      "COPERNICUS/S2/20200716T001109_20200716T001110_T56KME",
+      "COPERNICUS/S2/20210701T001109_20210701T001110_T56KME"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KMD',
+    reef: 'Marion Reef (South)',
+    region: 'Central',
+    stats: {},
+    notes: 'Good images in R1, OK images in R2.',
+    R1: [
+      "COPERNICUS/S2/20170831T000729_20170831T000725_T56KMD",
+      "COPERNICUS/S2/20170925T001111_20170925T001105_T56KMD",
+      "COPERNICUS/S2/20190905T001111_20190905T001109_T56KMD"
+    ],
+    R2: [
+      "COPERNICUS/S2/20180212T001111_20180212T001105_T56KMD",
+      "COPERNICUS/S2/20180806T001109_20180806T001104_T56KMD",
+      "COPERNICUS/S2/20181010T001111_20181010T001106_T56KMD",
+      "COPERNICUS/S2/20190920T001109_20190920T001108_T56KMD",
+      "COPERNICUS/S2/20200427T001109_20200427T001104_T56KMD"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KPC',
+    reef: 'Calder Bank',
+    region: 'South',
+    stats: {searched: 8, total: 8, cloudyPixelPercentage: 80},
+    notes: 'The CLOUDY_PIXEL_PERCENTAGE was increased to 80% to get more images. ' +
+      'Unfortunately only 8 images were available. As a result no second ' +
+      'reference image was created due to a lack of imagery. R1 is made from ' +
+      'Maybe images.',
+    R1: [
+      "COPERNICUS/S2/20170902T000111_20170902T000107_T56KPC",
+      "COPERNICUS/S2/20170907T000119_20170907T000114_T56KPC"
+    ],
+    R2: [],
+    maybe: []
+  },
+  {
+    tileId: '56KNB',
+    reef: 'Saumarez Reefs (North)',
+    region: 'South',
+    stats: {searched: 18, total: 18},
+    R1: [
+      // Excellent
+      "COPERNICUS/S2/20160927T000212_20160927T000213_T56KNB",
+      "COPERNICUS/S2/20160609T000222_20160609T000222_T56KNB",
+      // Good
+      "COPERNICUS/S2/20160410T000222_20160410T000216_T56KNB",
+      "COPERNICUS/S2/20170515T000221_20170515T000221_T56KNB",
+      "COPERNICUS/S2/20170729T000219_20170729T000217_T56KNB"
+    ],
+    R2: [
+      "COPERNICUS/S2/20170214T000211_20170214T000212_T56KNB",
+      "COPERNICUS/S2/20170415T000221_20170415T000217_T56KNB",
+      "COPERNICUS/S2/20170525T000221_20170525T000220_T56KNB",
+      "COPERNICUS/S2/20170704T000221_20170704T000217_T56KNB",
+      "COPERNICUS/S2/20170823T000221_20170823T000219_T56KNB"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KPB',
+    reef: 'Frederick Reef',
+    region: 'South',
+    stats: {searched: 24, total: 24, cloudyPixelPercentage: 3},
+    R1: [
+      "COPERNICUS/S2/20160609T000222_20160609T000222_T56KPB",
+      "COPERNICUS/S2/20160927T000212_20160927T000213_T56KPB",
+      "COPERNICUS/S2/20170525T000221_20170525T000220_T56KPB"
+    ],
+    R2: [
+      // Good
+      "COPERNICUS/S2/20170515T000221_20170515T000221_T56KPB",
+      "COPERNICUS/S2/20170729T000219_20170729T000217_T56KPB",
+      // OK
+      "COPERNICUS/S2/20160410T000216_20160410T012205_T56KPB",
+      "COPERNICUS/S2/20160420T000219_20160420T012157_T56KPB"
+    ],
+    maybe: [
+      "COPERNICUS/S2/20160530T000222_20160530T000223_T56KPB",
+      "COPERNICUS/S2/20160709T000221_20160709T012229_T56KPB",
+      "COPERNICUS/S2/20170907T000119_20170907T000114_T56KPB",
+      // Low tide
+      "COPERNICUS/S2/20170704T000221_20170704T000217_T56KPB",
+      "COPERNICUS/S2/20170818T000219_20170818T000215_T56KPB",
+      // Waves
+      "COPERNICUS/S2/20161106T000222_20161106T000220_T56KPB",
+      "COPERNICUS/S2/20171027T000209_20171027T000204_T56KPB",
+      "COPERNICUS/S2/20171116T000209_20171116T000205_T56KPB",
+      "COPERNICUS/S2/20171206T000209_20171206T000206_T56KPB"
+    ]
+  },
+  {
+    tileId: '56KQB',
+    reef: 'Kenn Reefs',
+    region: 'South',
+    stats: {searched: 2, total: 2, cloudyPixelPercentage: 100},
+    R1: [
+      "COPERNICUS/S2/20190220T234701_20190220T234701_T56KQB"
+    ],
+    R2: [],
+    maybe: []
+  },
+  {
+    tileId: '56KNA',
+    reef: 'Saumarez Reefs (South)',
+    region: 'South',
+    stats: {searched: 25, total: 75},
+    R1: [
+      // Excellent
+      "COPERNICUS/S2/20160609T000222_20160609T000222_T56KNA", // High chlorophyll
+      "COPERNICUS/S2/20170729T000219_20170729T000217_T56KNA",
+      "COPERNICUS/S2/20180818T000241_20180818T000239_T56KNA",
+      // Good
+      "COPERNICUS/S2/20170515T000221_20170515T000221_T56KNA",
+      "COPERNICUS/S2/20170719T000219_20170719T000218_T56KNA",
+      "COPERNICUS/S2/20180808T000241_20180808T000240_T56KNA"
+    ],
+    R2: [
+      //OK images
+      "COPERNICUS/S2/20160927T000212_20160927T000213_T56KNA",
+      "COPERNICUS/S2/20170214T000211_20170214T000212_T56KNA",
+      "COPERNICUS/S2/20170415T000221_20170415T000217_T56KNA",
+      "COPERNICUS/S2/20170525T000221_20170525T000220_T56KNA",
+      "COPERNICUS/S2/20170823T000221_20170823T000219_T56KNA",
+      "COPERNICUS/S2/20180714T000239_20180714T000238_T56KNA",
+      "COPERNICUS/S2/20180813T000239_20180813T000234_T56KNA"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KQA',
+    reef: 'Wreck Reefs',
+    region: 'South',
+    stats: {searched: 25, total: 41},
+    R1: [
+      //Good
+      "COPERNICUS/S2/20181003T235241_20181003T235241_T56KQA",
+      "COPERNICUS/S2/20181202T235241_20181202T235236_T56KQA",
+      // OK
+      "COPERNICUS/S2/20180302T235239_20180302T235235_T56KQA",
+      "COPERNICUS/S2/20190908T235241_20190908T235244_T56KQA"
+    ],
+    R2: [
+      // OK
+      "COPERNICUS/S2/20170421T235251_20170421T235246_T56KQA",
+      "COPERNICUS/S2/20170511T235251_20170511T235247_T56KQA",
+      "COPERNICUS/S2/20170620T235241_20170620T235244_T56KQA",
+      "COPERNICUS/S2/20170923T235229_20170923T235231_T56KQA",
+      "COPERNICUS/S2/20171227T235241_20171227T235238_T56KQA",
+      "COPERNICUS/S2/20180131T235239_20180131T235238_T56KQA",
+      "COPERNICUS/S2/20180205T235241_20180205T235241_T56KQA"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KQV',
+    reef: 'Cato Reef',
+    region: 'South',
+    stats: {searched: 30, total: 67},
+    R1: [
+      // Excellent
+      "COPERNICUS/S2/20160923T235242_20160924T011248_T56KQV",
+      "COPERNICUS/S2/20170908T235241_20170908T235243_T56KQV",
+      "COPERNICUS/S2/20180829T235239_20180829T235235_T56KQV",
+      // Good
+      "COPERNICUS/S2/20170814T235239_20170814T235242_T56KQV",
+      "COPERNICUS/S2/20170903T235239_20170903T235238_T56KQV",
+      "COPERNICUS/S2/20180715T235251_20180715T235246_T56KQV"
+    ],
+    R2: [
+      // OK
+      "COPERNICUS/S2/20180210T235239_20180210T235237_T56KQV",
+      "COPERNICUS/S2/20180521T235239_20180521T235242_T56KQV",
+      "COPERNICUS/S2/20180710T235249_20180710T235243_T56KQV",
+      "COPERNICUS/S2/20180730T235239_20180730T235241_T56KQV",
+      "COPERNICUS/S2/20190426T235249_20190426T235252_T56KQV",
+      "COPERNICUS/S2/20190506T235259_20190506T235253_T56KQV"
+    ],
+    maybe: []
+  },
+
+  // ============= BONUS imagery ===============
+  // This imagery was collected to ensure that no
+  // reefs were missed. Essentially checking that
+  // there are no shallow areas on the sea mounts
+  // We also include imagery of a reef in PNG that is
+  // just outside the Coral Sea marine park, but very close
+  // to Ashmore reef.
+  {
+    tileId: '55LCJ',
+    reef: 'Eastern Fields (PNG)',
+    region: 'Far North',
+    stats: {searched: 12, total: 12, cloudyPixelPercentage: 1},
+    bonus: true,
+    notes: 'Just outside the Coral Sea Marine Park, but very close to Ashmore ' +
+      'Reef.',
+    R1: [
+      // OK
+      "COPERNICUS/S2/20180417T003709_20180417T003703_T55LCJ",
+      "COPERNICUS/S2/20181213T003659_20181213T003658_T55LCJ",
+      "COPERNICUS/S2/20191223T003701_20191223T003659_T55LCJ",
+      "COPERNICUS/S2/20200216T003659_20200216T003700_T55LCJ",
+      "COPERNICUS/S2/20200913T003709_20200913T003707_T55LCJ"
+    ],
+    R2: [
+      // Maybe
+      "COPERNICUS/S2/20170127T003701_20170127T003755_T55LCJ",
+      "COPERNICUS/S2/20191203T003701_20191203T003703_T55LCJ",
+      "COPERNICUS/S2/20210506T003701_20210506T003703_T55LCJ"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KQU',
+    reef: 'Fraser Seamount',
+    region: 'South',
+    stats: {searched: 20, total: 37, cloudyPixelPercentage: 0.3},
+    bonus: true,
+    R1: [
+      // Excellent
+      "COPERNICUS/S2/20160923T235242_20160923T235240_T56KQU",
+      "COPERNICUS/S2/20170908T235241_20170908T235243_T56KQU",
+      "COPERNICUS/S2/20180829T235239_20180829T235235_T56KQU",
+      "COPERNICUS/S2/20190506T235259_20190506T235253_T56KQU"
+    ],
+    R2: [
+      // Good
+      "COPERNICUS/S2/20170829T235251_20170829T235245_T56KQU",
+      // OK
+      "COPERNICUS/S2/20160406T235242_20160406T235242_T56KQU",
+      "COPERNICUS/S2/20170501T235251_20170501T235247_T56KQU",
+      "COPERNICUS/S2/20170809T235251_20170809T235246_T56KQU",
+      "COPERNICUS/S2/20180521T235239_20180521T235242_T56KQU"
+    ],
+    maybe: []
+  },
+  {
+    tileId: '56KQE',
+    reef: 'U/N Sea mount',
+    region: 'Central',
+    stats: {searched: 6, total: 6},
+    bonus: true,
+    R1: [
+      // Good
+      "COPERNICUS/S2/20151128T234812_20170509T143613_T56KQE",
+      "COPERNICUS/S2/20160416T235041_20160417T061750_T56KQE"
+    ],
+    R2: [],
+    maybe: []
+  }
+];
@@ -0,0 +1,205 @@
+// Copyright 2021 Eric Lawrey - Australian Institute of Marine Science
+// MIT License https://mit-license.org/
+
+// Calculation of the footprints of Sentinel 2 tiles from their MGRS tile IDs.
+// This is an alternative to looking up the tiles in the
+// users/ericlawrey/World_ESA_Sentinel-2-tiling-grid FeatureCollection.
+// Like s2-image-id.js this module is plain JavaScript with no dependence on the
+// Earth Engine API so that it can be loaded with require() in the Google Earth
+// Engine Code Editor as well as in Node. This allows the footprints to be
+// checked offline against the ESA tiling grid.
+//
+// Sentinel 2 tiles are based on the 100 km squares of the Military Grid
+// Reference System (MGRS). Each tile is 109.8 km x 109.8 km in the UTM
+// projection of its zone. The tile starts at the west and north edges of its
+// 100 km square and extends 9.8 km past the east and south edges, so that
+// neighbouring tiles overlap.
+// The ESA tiles are aligned to the 60 m pixel grid and so the calculated
+// footprints can differ from the ESA tiling grid by up to 60 m.
+
+// The tile IDs are parsed by s2-image-id.js. In Node it is loaded relative to
+// this file, as the Earth Engine repository paths are not available.
+var s2_image_id = typeof ee === 'undefined' ?
+  require('./s2-image-id.js') :
+  require('users/ericlawrey/CS_AIMS_Sentinel2-marine_V0:s2-image-id');
+
+// 100 km square column letters. These repeat every 3 zones, with each zone
+// using 8 letters. I and O are not used.
+var COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+
+// 100 km square row letters. These repeat every 2000 km. Even numbered zones
+// are offset by 5 letters (the AA scheme used by WGS 84).
+var ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// Minimum northing (m) of each latitude band. Used to work out which 2000 km
+// cycle of row letters the square is in. Southern bands include the
+// 10000 km false northing.
+var BAND_MIN_NORTHING = {
+  C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000,
+  H: 5500000, J: 6400000, K: 7300000, L: 8200000, M: 9100000,
+  N: 0, P: 800000, Q: 1700000, R: 2600000, S: 3500000,
+  T: 4400000, U: 5300000, V: 6200000, W: 7000000, X: 7900000
+};
+
+// Size of a Sentinel 2 tile (m).
+var S2_TILE_SIZE = 109800;
+
+// WGS 84 ellipsoid and UTM parameters.
+var WGS84_A = 6378137;
+var WGS84_F = 1/298.257223563;
+var UTM_K0 = 0.9996;
+var UTM_FALSE_EASTING = 500000;
+var UTM_FALSE_NORTHING_SOUTH = 10000000;
+
+/**
+ * Splits a MGRS tile ID into its parts, using parse_s2_tile_id() from
+ * s2-image-id.js, and works out the position of its 100 km square in the
+ * UTM projection.
+ *
+ * Example:
+ * parse_mgrs_tile("55KFA")
+ * returns:
+ * {tile: "55KFA", utmZone: 55, latitudeBand: "K", square: "FA",
+ *  southern: true, easting: 600000, northing: 8000000}
+ *
+ * @param {string} tileId - MGRS tile ID such as "55KFA".
+ * @return {object} Parts of the tile ID. easting and northing are the UTM
+ *      coordinates (m) of the south west corner of the 100 km square.
+ * @throws {Error} If the tile ID is not a valid MGRS 100 km square.
+ */
+exports.parse_mgrs_tile = function(tileId) {
+  var tile = s2_image_id.parse_s2_tile_id(tileId);
+  var utmZone = tile.utmZone;
+  var latitudeBand = tile.latitudeBand;
+  var columnLetter = tile.square.charAt(0);
+  var rowLetter = tile.square.charAt(1);
+
+  var columns = COLUMN_LETTERS[(utmZone-1) % 3];
+  var column = columns.indexOf(columnLetter);
+  if (column < 0) {
+    throw new Error('invalid MGRS tile ID "'+tileId+'", column letter '+
+      columnLetter+' is not used in UTM zone '+utmZone+'. Expected one of '+columns);
+  }
+  var easting = (column+1)*100000;
+
+  var row = ROW_LETTERS.indexOf(rowLetter);
+  if (utmZone % 2 === 0) {
+    row = (row+ROW_LETTERS.length-5) % ROW_LETTERS.length;
+  }
+  var northing = row*100000;
+  while (northing < BAND_MIN_NORTHING[latitudeBand]) {
+    northing += 2000000;
+  }
+
+  return {
+    tile: tileId,
+    utmZone: utmZone,
+    latitudeBand: latitudeBand,
+    square: tile.square,
+    southern: latitudeBand < 'N',
+    easting: easting,
+    northing: northing
+  };
+};
+
+/**
+ * Returns the extent of a Sentinel 2 tile in the UTM projection of its zone.
+ * Example: get_s2_tile_utm_bounds("55KFA") returns
+ *   {crs: "EPSG:32755", xmin: 600000, ymin: 7990200, xmax: 709800, ymax: 8100000}
+ * @param {string} tileId - Sentinel 2 tile ID such as "55KFA".
+ * @return {object} EPSG code of the UTM zone and the extent of the tile (m).
+ */
+exports.get_s2_tile_utm_bounds = function(tileId) {
+  var tile = exports.parse_mgrs_tile(tileId);
+  var xmin = tile.easting;
+  var ymax = tile.northing+100000;
+  return {
+    crs: s2_image_id.get_s2_tile_utm_crs(tileId),
+    xmin: xmin,
+    ymin: ymax-S2_TILE_SIZE,
+    xmax: xmin+S2_TILE_SIZE,
+    ymax: ymax
+  };
+};
+
+/**
+ * Converts UTM coordinates to longitude and latitude on the WGS 84 ellipsoid.
+ * This uses the series expansion of the inverse transverse Mercator projection
+ * from Snyder (1987) Map Projections - A Working Manual, which is accurate to
+ * better than a metre within a few degrees of the zone.
+ * @param {number} easting - (m) UTM easting.
+ * @param {number} northing - (m) UTM northing, including the false northing
+ *      for the southern hemisphere.
+ * @param {number} utmZone - UTM zone 1 - 60.
+ * @param {boolean} southern - True if the coordinates are in the southern
+ *      hemisphere projection.
+ * @return {Number[]} [longitude, latitude] in degrees.
+ */
+exports.utm_to_lonlat = function(easting, northing, utmZone, southern) {
+  var e2 = WGS84_F*(2-WGS84_F);
+  var ep2 = e2/(1-e2);
+  var x = easting-UTM_FALSE_EASTING;
+  var y = southern ? northing-UTM_FALSE_NORTHING_SOUTH : northing;
+  var lon0 = ((utmZone-1)*6-180+3)*Math.PI/180;
+
+  // Footpoint latitude
+  var m = y/UTM_K0;
+  var mu = m/(WGS84_A*(1-e2/4-3*e2*e2/64-5*e2*e2*e2/256));
+  var e1 = (1-Math.sqrt(1-e2))/(1+Math.sqrt(1-e2));
+  var phi1 = mu+(3*e1/2-27*Math.pow(e1, 3)/32)*Math.sin(2*mu)+
+    (21*e1*e1/16-55*Math.pow(e1, 4)/32)*Math.sin(4*mu)+
+    (151*Math.pow(e1, 3)/96)*Math.sin(6*mu)+
+    (1097*Math.pow(e1, 4)/512)*Math.sin(8*mu);
+
+  var sin1 = Math.sin(phi1);
+  var cos1 = Math.cos(phi1);
+  var tan1 = Math.tan(phi1);
+  var c1 = ep2*cos1*cos1;
+  var t1 = tan1*tan1;
+  var n1 = WGS84_A/Math.sqrt(1-e2*sin1*sin1);
+  var r1 = WGS84_A*(1-e2)/Math.pow(1-e2*sin1*sin1, 1.5);
+  var d = x/(n1*UTM_K0);
+
+  var lat = phi1-(n1*tan1/r1)*(d*d/2-
+    (5+3*t1+10*c1-4*c1*c1-9*ep2)*Math.pow(d, 4)/24+
+    (61+90*t1+298*c1+45*t1*t1-252*ep2-3*c1*c1)*Math.pow(d, 6)/720);
+  var lon = lon0+(d-(1+2*t1+c1)*Math.pow(d, 3)/6+
+    (5-2*c1+28*t1-3*c1*c1+8*ep2+24*t1*t1)*Math.pow(d, 5)/120)/cos1;
+
+  return [lon*180/Math.PI, lat*180/Math.PI];
+};
+
+/**
+ * Returns the footprint of a Sentinel 2 tile as a polygon in longitude and
+ * latitude. The edges of the tile are straight in UTM but curved in
+ * longitude and latitude and so points are added along each edge.
+ * The polygon can be used with ee.Geometry.Polygon(footprint, null, false).
+ * @param {string} tileId - Sentinel 2 tile ID such as "55KFA".
+ * @param {number} pointsPerEdge - (optional) Number of segments along each edge.
+ *      Default 10 (~11 km).
+ * @return {Array} Closed ring of [longitude, latitude] points, anticlockwise
+ *      from the south west corner.
+ */
+exports.get_s2_tile_footprint = function(tileId, pointsPerEdge) {
+  var n = pointsPerEdge || 10;
+  var tile = exports.parse_mgrs_tile(tileId);
+  var bounds = exports.get_s2_tile_utm_bounds(tileId);
+
+  // Corners anticlockwise: south west, south east, north east, north west.
+  var corners = [
+    [bounds.xmin, bounds.ymin], [bounds.xmax, bounds.ymin],
+    [bounds.xmax, bounds.ymax], [bounds.xmin, bounds.ymax]
+  ];
+  var ring = [];
+  for (var c = 0; c < corners.length; c++) {
+    var start = corners[c];
+    var end = corners[(c+1) % corners.length];
+    for (var i = 0; i < n; i++) {
+      ring.push(exports.utm_to_lonlat(
+        start[0]+(end[0]-start[0])*i/n, start[1]+(end[1]-start[1])*i/n,
+        tile.utmZone, tile.southern));
+    }
+  }
+  ring.push(ring[0]);
+  return ring;
+};
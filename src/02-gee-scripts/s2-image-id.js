@@ -0,0 +1,241 @@
+// Copyright 2021 Eric Lawrey - Australian Institute of Marine Science
+// MIT License https://mit-license.org/
+
+// Parsing of Sentinel 2 image IDs. This module is plain JavaScript with no
+// dependence on the Earth Engine API so that it can be loaded with require()
+// in the Google Earth Engine Code Editor as well as in Node. This allows the
+// file naming and tile lookup logic to be checked offline.
+//
+// Image IDs in the Earth Engine catalogue have the form:
+// {collection}/{datatake sensing time}_{processing time}_T{MGRS tile}
+// for example:
+// "COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV"
+// The collection prefix is dropped in the system:index property of the
+// images and so bare IDs such as "20170812T003031_20170812T003034_T55KDV"
+// are also accepted.
+
+// Earth Engine Sentinel 2 collections that share the same image ID scheme.
+var S2_COLLECTIONS = [
+  'COPERNICUS/S2',
+  'COPERNICUS/S2_HARMONIZED',
+  'COPERNICUS/S2_SR',
+  'COPERNICUS/S2_SR_HARMONIZED',
+  'COPERNICUS/S2_CLOUD_PROBABILITY'
+];
+exports.S2_COLLECTIONS = S2_COLLECTIONS;
+
+// {datatake}_{processing}_T{MGRS tile}
+var S2_INDEX_PATTERN = /^(\d{8}T\d{6})_(\d{8}T\d{6})_T(.*)$/;
+
+// {zone}{latitude band}{100 km square}
+// The latitude bands exclude I and O, the 100 km square column letters
+// exclude I and O and the row letters run from A - V excluding I and O.
+var MGRS_TILE_PATTERN = /^(\d{2})([C-HJ-NP-X])([A-HJ-NP-Z][A-HJ-NP-V])$/;
+
+/**
+ * Splits a Sentinel 2 image ID into its component parts.
+ *
+ * Example:
+ * parse_s2_image_id("COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV")
+ * returns:
+ * {
+ *   id: "COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV",
+ *   collection: "COPERNICUS/S2",
+ *   index: "20170812T003031_20170812T003034_T55KDV",
+ *   datatake: "20170812T003031",
+ *   processing: "20170812T003034",
+ *   tile: "55KDV",
+ *   utmZone: 55,
+ *   latitudeBand: "K",
+ *   square: "DV"
+ * }
+ *
+ * @param {string} id - Full image ID such as
+ *      "COPERNICUS/S2_HARMONIZED/20170812T003031_20170812T003034_T55KDV" or a
+ *      bare system:index such as "20170812T003031_20170812T003034_T55KDV".
+ *      For bare IDs the collection is returned as null.
+ * @return {object} Parsed components of the image ID.
+ * @throws {Error} If the ID is not a string, is from an unknown collection or
+ *      does not follow the Sentinel 2 naming scheme.
+ */
+exports.parse_s2_image_id = function(id) {
+  if (typeof id !== 'string') {
+    throw new Error('Sentinel 2 image ID must be a string, got: '+id);
+  }
+
+  var collection = null;
+  var index = id;
+  var n = id.lastIndexOf('/');
+  if (n >= 0) {
+    collection = id.substr(0, n);
+    index = id.substr(n+1);
+    if (S2_COLLECTIONS.indexOf(collection) < 0) {
+      throw new Error('Invalid Sentinel 2 image ID "'+id+'": unknown collection "'+
+        collection+'". Expected one of '+S2_COLLECTIONS.join(', '));
+    }
+  }
+
+  var match = S2_INDEX_PATTERN.exec(index);
+  if (match === null) {
+    throw new Error('Invalid Sentinel 2 image ID "'+id+'": expected the form '+
+      '{collection}/YYYYMMDDTHHMMSS_YYYYMMDDTHHMMSS_T{MGRS tile}, for example '+
+      '"COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV"');
+  }
+
+  var tile;
+  try {
+    tile = exports.parse_s2_tile_id(match[3]);
+  } catch (err) {
+    throw new Error('Invalid Sentinel 2 image ID "'+id+'": '+err.message);
+  }
+
+  return {
+    id: id,
+    collection: collection,
+    index: index,
+    datatake: match[1],
+    processing: match[2],
+    tile: tile.tile,
+    utmZone: tile.utmZone,
+    latitudeBand: tile.latitudeBand,
+    square: tile.square
+  };
+};
+
+/**
+ * Splits a Sentinel 2 (MGRS) tile ID into its component parts.
+ *
+ * Example:
+ * parse_s2_tile_id("55KDV")
+ * returns:
+ * {tile: "55KDV", utmZone: 55, latitudeBand: "K", square: "DV"}
+ *
+ * @param {string} tileId - Sentinel 2 tile ID such as "55KDV". A leading "T",
+ *      as used in the image IDs, is not allowed.
+ * @return {object} Parsed components of the tile ID.
+ * @throws {Error} If the tile ID is not a valid MGRS 100 km square.
+ */
+exports.parse_s2_tile_id = function(tileId) {
+  var match = MGRS_TILE_PATTERN.exec(tileId);
+  if (match === null) {
+    throw new Error('invalid Sentinel 2 tile ID "'+tileId+'", expected the form '+
+      '{UTM zone}{latitude band}{100 km square}, for example "55KDV"');
+  }
+  var utmZone = parseInt(match[1], 10);
+  if (utmZone < 1 || utmZone > 60) {
+    throw new Error('invalid Sentinel 2 tile ID "'+tileId+'", UTM zone '+
+      match[1]+' is outside 01 - 60');
+  }
+  return {
+    tile: tileId,
+    utmZone: utmZone,
+    latitudeBand: match[2],
+    square: match[3]
+  };
+};
+
+/**
+ * Returns the WGS 84 / UTM coordinate reference system of a Sentinel 2 tile.
+ * This is the native projection of the tile imagery. Latitude bands C - M
+ * are in the southern hemisphere.
+ * Example: get_s2_tile_utm_crs("55KDV") returns "EPSG:32755"
+ * @param {string} tileId - Sentinel 2 tile ID such as "55KDV".
+ * @return {string} EPSG code of the UTM zone of the tile.
+ */
+exports.get_s2_tile_utm_crs = function(tileId) {
+  var tile = exports.parse_s2_tile_id(tileId);
+  var hemisphere = tile.latitudeBand < 'N' ? '327' : '326';
+  return 'EPSG:'+hemisphere+(tile.utmZone < 10 ? '0' : '')+tile.utmZone;
+};
+
+// Latitude bands in order from the south. Each band is 8 degrees, starting
+// at 80 S, except X which is 12 degrees (72 N - 84 N).
+var LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+// Sentinel 2 tiles extend past the edges of their UTM zone and latitude band
+// because each tile is a full 109.8 km square. The longitude margin also covers
+// the wider zones 32V and 31X - 37X.
+var SEARCH_LON_MARGIN = 3;
+var SEARCH_LAT_MARGIN = 1;
+
+/**
+ * Returns a bounding box, in degrees, that contains the Sentinel 2 tiles.
+ * The box is made from the UTM zone and latitude band of each tile, with
+ * a margin for the parts of the tiles that extend past these. This is used
+ * to limit the search of the Sentinel 2 tiling grid.
+ * Example: get_s2_tiles_search_bbox(["55KDV"]) returns [141, -25, 153, -15]
+ * @param {String[]} tileIds - Sentinel 2 tile IDs such as "55KDV".
+ * @return {Number[]} Bounding box as [west, south, east, north], suitable for
+ *      ee.Geometry.BBox(). 
+ */
+exports.get_s2_tiles_search_bbox = function(tileIds) {
+  var bbox = null;
+  tileIds.forEach(function(tileId) {
+    var tile = exports.parse_s2_tile_id(tileId);
+    var west = (tile.utmZone-1)*6-180;
+    var south = LATITUDE_BANDS.indexOf(tile.latitudeBand)*8-80;
+    var north = tile.latitudeBand === 'X' ? 84 : south+8;
+    var tileBbox = [
+      Math.max(west-SEARCH_LON_MARGIN, -180),
+      Math.max(south-SEARCH_LAT_MARGIN, -90),
+      Math.min(west+6+SEARCH_LON_MARGIN, 180),
+      Math.min(north+SEARCH_LAT_MARGIN, 90)
+    ];
+    if (bbox === null) {
+      bbox = tileBbox;
+    } else {
+      bbox = [
+        Math.min(bbox[0], tileBbox[0]), Math.min(bbox[1], tileBbox[1]),
+        Math.max(bbox[2], tileBbox[2]), Math.max(bbox[3], tileBbox[3])
+      ];
+    }
+  });
+  return bbox;
+};
+
+/**
+ * Returns the unique MGRS tile IDs of the images, in the order that they
+ * first appear.
+ * Convert:
+ * ["COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV",
+ *  "COPERNICUS/S2/20180812T003031_20180812T003034_T55KDV"]
+ * To:
+ * ["55KDV"]
+ * @param {String[]} imageIds - Sentinel 2 image IDs.
+ * @return {String[]} Unique tile IDs such as "55KDV"
+ */
+exports.get_s2_tile_ids = function(imageIds) {
+  var seen = {};
+  var tiles = [];
+  imageIds.forEach(function(id) {
+    var tile = exports.parse_s2_image_id(id).tile;
+    if (!seen.hasOwnProperty(tile)) {
+      seen[tile] = true;
+      tiles.push(tile);
+    }
+  });
+  return tiles;
+};
+
+/**
+ * Returns the date range of the images in a form suitable for use in file names.
+ * The year and month of the datatake of each image is used.
+ *
+ * Examples:
+ *   One image:       201606-n1
+ *   Multiple images: 201606-202008-n5
+ * @param {String[]} imageIds - Sentinel 2 image IDs.
+ * @return {string} Date range string {start yyyymm}-{end yyyymm}-n{number of images}
+ */
+exports.get_s2_date_range_str = function(imageIds) {
+  // This works because the date strings are in yyyymm format
+  var datesInOrder = imageIds.map(function(id) {
+    return exports.parse_s2_image_id(id).datatake.substr(0,6);
+  }).sort();
+
+  if (datesInOrder.length === 1) {
+    return datesInOrder[0]+'-n1';
+  }
+  return datesInOrder[0]+'-'+datesInOrder[datesInOrder.length-1]+
+    '-n'+datesInOrder.length;
+};
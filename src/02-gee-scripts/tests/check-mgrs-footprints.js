@@ -0,0 +1,131 @@
+// Copyright 2021 Eric Lawrey - Australian Institute of Marine Science
+// MIT License https://mit-license.org/
+
+// Node check of the tile footprints calculated by mgrs.js against the ESA
+// Sentinel 2 tiling grid. This uses the Queensland extract of the tiling grid
+// shapefile in src/01-sentinel2-tile-selection so that it runs offline with
+// no dependencies.
+// Run from the root of the repository with:
+//   node src/02-gee-scripts/tests/check-mgrs-footprints.js
+// The process exits with a non-zero status if any tile corner is further than
+// MAX_CORNER_ERROR from the ESA tiling grid.
+
+var fs = require('fs');
+var path = require('path');
+var mgrs = require('../mgrs.js');
+
+var SHAPEFILE = path.join(__dirname, '..', '..', '01-sentinel2-tile-selection', 'data',
+  'Sentinel-2-Shapefile-Index-master', 'derived', 'sentinel_2_index_shapfile_qld_extract');
+
+// (m) The ESA tiles are aligned to the 60 m pixel grid and so can differ from
+// the MGRS squares by up to 60 m. Allow a little extra for the rounding of
+// the shapefile coordinates.
+var MAX_CORNER_ERROR = 70;
+
+var METRES_PER_DEGREE = 111319.49;
+
+/**
+ * Reads the Name field of each record of a dBase (.dbf) file.
+ * @param {string} file - Path to the .dbf file.
+ * @return {String[]} Name of each record, in order.
+ */
+var read_dbf_names = function(file) {
+  var data = fs.readFileSync(file);
+  var numRecords = data.readUInt32LE(4);
+  var headerLength = data.readUInt16LE(8);
+  var recordLength = data.readUInt16LE(10);
+
+  // Find the offset of the Name field in each record. The first byte of
+  // each record is the deletion flag.
+  var offset = 1;
+  var nameOffset = -1;
+  var nameLength = 0;
+  for (var i = 32; data[i] !== 0x0d; i += 32) {
+    var fieldName = data.toString('latin1', i, i+11).replace(/\0.*$/, '');
+    var fieldLength = data[i+16];
+    if (fieldName === 'Name') {
+      nameOffset = offset;
+      nameLength = fieldLength;
+    }
+    offset += fieldLength;
+  }
+  if (nameOffset < 0) {
+    throw new Error('No Name field in '+file);
+  }
+  var names = [];
+  for (var r = 0; r < numRecords; r++) {
+    var start = headerLength+r*recordLength+nameOffset;
+    names.push(data.toString('latin1', start, start+nameLength).trim());
+  }
+  return names;
+};
+
+/**
+ * Reads the points of the first part of each polygon in a shapefile (.shp).
+ * @param {string} file - Path to the .shp file.
+ * @return {Array} [longitude, latitude] points of each record, in order.
+ */
+var read_shp_polygons = function(file) {
+  var data = fs.readFileSync(file);
+  var polygons = [];
+  var i = 100;    // Length of the file header
+  while (i < data.length) {
+    var contentLength = data.readInt32BE(i+4)*2;    // In 16 bit words
+    var content = i+8;
+    var numParts = data.readInt32LE(content+36);
+    var numPoints = data.readInt32LE(content+40);
+    var partEnd = numParts > 1 ? data.readInt32LE(content+48) : numPoints;
+    var pointsStart = content+44+4*numParts;
+    var points = [];
+    for (var p = 0; p < partEnd; p++) {
+      points.push([
+        data.readDoubleLE(pointsStart+16*p),
+        data.readDoubleLE(pointsStart+16*p+8)
+      ]);
+    }
+    polygons.push(points);
+    i = content+contentLength;
+  }
+  return polygons;
+};
+
+// Approximate distance (m) between two nearby longitude, latitude points.
+var distance = function(a, b) {
+  var dx = (a[0]-b[0])*Math.cos((a[1]+b[1])/2*Math.PI/180);
+  var dy = a[1]-b[1];
+  return Math.sqrt(dx*dx+dy*dy)*METRES_PER_DEGREE;
+};
+
+var names = read_dbf_names(SHAPEFILE+'.dbf');
+var polygons = read_shp_polygons(SHAPEFILE+'.shp');
+
+var worst = {tile: null, error: 0};
+var failures = [];
+names.forEach(function(name, i) {
+  var POINTS_PER_EDGE = 1;    // Only the corners are needed.
+  var footprint = mgrs.get_s2_tile_footprint(name, POINTS_PER_EDGE);
+  // The ESA polygons are closed rings of the 4 corners. Compare each with
+  // the nearest corner of the calculated footprint.
+  var esaCorners = polygons[i].slice(0, polygons[i].length-1);
+  var error = Math.max.apply(null, esaCorners.map(function(corner) {
+    return Math.min.apply(null, footprint.slice(0, 4).map(function(point) {
+      return distance(corner, point);
+    }));
+  }));
+  if (error > worst.error) {
+    worst = {tile: name, error: error};
+  }
+  if (esaCorners.length !== 4 || error > MAX_CORNER_ERROR) {
+    failures.push(name+': '+esaCorners.length+' corners, max corner error '+
+      error.toFixed(1)+' m');
+  }
+});
+
+console.log('Compared '+names.length+' tiles with the ESA tiling grid. Largest corner error: '+
+  worst.error.toFixed(1)+' m ('+worst.tile+')');
+if (failures.length > 0) {
+  console.log('FAIL: '+failures.length+' tile(s) differ by more than '+MAX_CORNER_ERROR+' m');
+  failures.forEach(function(failure) { console.log(' - '+failure); });
+  process.exit(1);
+}
+console.log('PASS');
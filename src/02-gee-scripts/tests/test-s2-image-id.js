@@ -0,0 +1,109 @@
+// Copyright 2021 Eric Lawrey - Australian Institute of Marine Science
+// MIT License https://mit-license.org/
+
+// Node tests of the Sentinel 2 image ID parsing in s2-image-id.js.
+// Run from the root of the repository with:
+//   node src/02-gee-scripts/tests/test-s2-image-id.js
+// The process exits with a non-zero status if any test fails.
+
+var assert = require('assert');
+var s2 = require('../s2-image-id.js');
+
+var INDEX = '20170812T003031_20170812T003034_T55KDV';
+
+var tests = [];
+var test = function(name, fn) {
+  tests.push({name: name, fn: fn});
+};
+
+// Checks the parts of INDEX that are common to all the collections.
+var assertIndexParts = function(parsed) {
+  assert.strictEqual(parsed.index, INDEX);
+  assert.strictEqual(parsed.datatake, '20170812T003031');
+  assert.strictEqual(parsed.processing, '20170812T003034');
+  assert.strictEqual(parsed.tile, '55KDV');
+  assert.strictEqual(parsed.utmZone, 55);
+  assert.strictEqual(parsed.latitudeBand, 'K');
+  assert.strictEqual(parsed.square, 'DV');
+};
+
+['COPERNICUS/S2', 'COPERNICUS/S2_HARMONIZED', 'COPERNICUS/S2_SR'].forEach(function(collection) {
+  test('parses '+collection+' image IDs', function() {
+    var parsed = s2.parse_s2_image_id(collection+'/'+INDEX);
+    assert.strictEqual(parsed.id, collection+'/'+INDEX);
+    assert.strictEqual(parsed.collection, collection);
+    assertIndexParts(parsed);
+  });
+});
+
+test('parses a bare system:index', function() {
+  var parsed = s2.parse_s2_image_id(INDEX);
+  assert.strictEqual(parsed.id, INDEX);
+  assert.strictEqual(parsed.collection, null);
+  assertIndexParts(parsed);
+});
+
+test('parses a single digit UTM zone', function() {
+  var parsed = s2.parse_s2_image_id('COPERNICUS/S2/20170812T003031_20170812T003034_T01KDV');
+  assert.strictEqual(parsed.utmZone, 1);
+  assert.strictEqual(s2.get_s2_tile_utm_crs(parsed.tile), 'EPSG:32701');
+});
+
+test('returns the UTM CRS of northern and southern tiles', function() {
+  assert.strictEqual(s2.get_s2_tile_utm_crs('55KDV'), 'EPSG:32755');
+  assert.strictEqual(s2.get_s2_tile_utm_crs('56MKA'), 'EPSG:32756');
+  assert.strictEqual(s2.get_s2_tile_utm_crs('31NAA'), 'EPSG:32631');
+});
+
+[
+  ['a non-string ID', null],
+  ['an unknown collection', 'COPERNICUS/LANDSAT/'+INDEX],
+  ['a missing tile', 'COPERNICUS/S2/20170812T003031_20170812T003034'],
+  ['a short datatake time', 'COPERNICUS/S2/20170812T0030_20170812T003034_T55KDV'],
+  ['a lower case tile', 'COPERNICUS/S2/20170812T003031_20170812T003034_T55kdv'],
+  ['a tile with extra characters', 'COPERNICUS/S2/20170812T003031_20170812T003034_T55KDVX'],
+  ['UTM zone 00', 'COPERNICUS/S2/20170812T003031_20170812T003034_T00KDV'],
+  ['UTM zone 61', 'COPERNICUS/S2/20170812T003031_20170812T003034_T61KDV'],
+  ['latitude band I', 'COPERNICUS/S2/20170812T003031_20170812T003034_T55IDV'],
+  ['latitude band O', 'COPERNICUS/S2/20170812T003031_20170812T003034_T55ODV'],
+  ['square column O', 'COPERNICUS/S2/20170812T003031_20170812T003034_T55KOV'],
+  ['square row W', 'COPERNICUS/S2/20170812T003031_20170812T003034_T55KDW'],
+  ['an empty string', '']
+].forEach(function(invalid) {
+  test('rejects '+invalid[0], function() {
+    assert.throws(function() { s2.parse_s2_image_id(invalid[1]); }, Error);
+  });
+});
+
+test('returns the unique tiles in order', function() {
+  assert.deepStrictEqual(s2.get_s2_tile_ids([
+    'COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV',
+    'COPERNICUS/S2_HARMONIZED/20180812T003031_20180812T003034_T55KEV',
+    '20190812T003031_20190812T003034_T55KDV'
+  ]), ['55KDV', '55KEV']);
+});
+
+test('returns the date range of the images', function() {
+  assert.strictEqual(s2.get_s2_date_range_str(['COPERNICUS/S2/'+INDEX]), '201708-n1');
+  assert.strictEqual(s2.get_s2_date_range_str([
+    'COPERNICUS/S2/20200812T003031_20200812T003034_T55KDV',
+    'COPERNICUS/S2/'+INDEX
+  ]), '201708-202008-n2');
+});
+
+var failures = 0;
+tests.forEach(function(t) {
+  try {
+    t.fn();
+    console.log('ok - '+t.name);
+  } catch (err) {
+    failures += 1;
+    console.log('FAIL - '+t.name+': '+err.message);
+  }
+});
+
+console.log(tests.length+' tests, '+failures+' failed');
+if (failures > 0) {
+  process.exit(1);
+}
+console.log('PASS');
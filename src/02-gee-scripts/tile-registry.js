@@ -0,0 +1,156 @@
+// Copyright 2021 Eric Lawrey - Australian Institute of Marine Science
+// MIT License https://mit-license.org/
+
+// This script is written to run on the Google Earth Engine.
+//
+// Registry of the Sentinel 2 tiles that have been, or can be, reviewed with
+// the 01-select-sentinel2-images script. This is used to build the tile picker
+// in that script. This module does not use the Earth Engine API and so it
+// can also be loaded in Node.
+//
+// The tiles that have a catalogue entry (i.e. catalogue-coral-sea.js) are added
+// from the catalogue with add_catalogue() so that the reef names and regions
+// are only recorded in one place. The entries below are the other tiles of
+// interest that don't have a catalogue entry.
+//
+// Note the tile selection and the matching reefs in each tile were determined using:
+//  - Sentinel 2 UTM Tiling Grid https://eatlas.org.au/data/uuid/f7468d15-12be-4e3f-a246-b2882a324f59
+//  - Coral Sea geomorphic features (JCU) https://eatlas.org.au/data/uuid/25685ba5-6583-494f-974d-cce2f3429b78
+// These were combined in 01-sentinel2-tile-selection map.
+// Use the map link below to find the tileID for other areas of interest.
+// https://maps.eatlas.org.au/index.html?intro=false&z=7&ll=146.90137,-19.07287&l0=ea_ref%3AWorld_ESA_Sentinel-2-tiling-grid_Poly,ea_ea-be%3AWorld_Bright-Earth-e-Atlas-basemap,google_SATELLITE&v0=,,f
+//
+// Each entry has the following structure:
+// {
+//   tileId:  Sentinel 2 tile ID, i.e. '55KFA'
+//   reef:    Names of the reefs or features on the tile. Where a reef has been
+//            split across multiple tiles then which section of the reef is
+//            on the tile is indicated in brackets after the reef name.
+//   group:   Group of tiles, i.e. 'Coral Sea' or 'Global test reefs'.
+//   region:  (optional) Latitudinal region in the Coral Sea ('Far North', 'North',
+//            'Central' or 'South'). These are not based on any official
+//            classification.
+//   notes:   (optional) Free text notes on the tile.
+// }
+
+exports.entries = [
+  // ------------- Coral Sea --------------
+  // Tiles that were reviewed but are not in catalogue-coral-sea.js
+  {tileId: '56KQF', reef: 'Mellish Reef', group: 'Coral Sea', region: 'Central',
+    notes: 'This tile only had 2 images with < 1% cloud cover, neither of them were useful. ' +
+      'Raising the threshold to 3% only gave 5 images, none of which were useful. ' +
+      'We therefore instead use the neighbouring tile (56KRF) to pick up Mellish Reef.'},
+  {tileId: '56KKG', reef: 'Magdelaine Cays, Coringa Islet', group: 'Coral Sea', region: 'Central',
+    notes: 'Boundaries: 8, Dry Reefs: 2, Cays/Islands: 2'},
+
+  // ------------- Sea mounts that probably don't have reefs --------------
+  {tileId: '57KTS', reef: 'Selfridge Rock', group: 'Coral Sea sea mounts',
+    notes: 'Only one image and it has high cloud cover. https://web.archive.org/web/20130305015208/' +
+      'http://www.shom.fr/fileadmin/data-www/01-LE_SHOM/02-ACTUALITES/01-LES_COMMUNIQUES/' +
+      'fig_2_-_Sandy_Island.png'},
+  {tileId: '57KUS', reef: 'Selfridge Rock', group: 'Coral Sea sea mounts',
+    notes: '2 images but neither are useful.'},
+  {tileId: '56KRB', reef: 'Obstn Rep (1962)', group: 'Coral Sea sea mounts',
+    notes: 'AUS04643 - only 1 image covered in clouds'},
+
+  // ------------- Potential shallow areas in Eastern Coral Sea --------------
+  // These areas were identified as having potentially shallow areas based
+  // on the SRTM30-plus v8.0 dataset.
+  {tileId: '57KXT', reef: '', group: 'Eastern Coral Sea'},
+  {tileId: '57KYT', reef: 'Lansdowne Bank', group: 'Eastern Coral Sea',
+    notes: 'Potential 29 m Obstn'},
+  {tileId: '57KYS', reef: '', group: 'Eastern Coral Sea'},
+  {tileId: '57KZS', reef: '', group: 'Eastern Coral Sea'},
+  {tileId: '57KXS', reef: '', group: 'Eastern Coral Sea'},
+  {tileId: '57KWP', reef: '', group: 'Eastern Coral Sea'},
+  {tileId: '57JWN', reef: '', group: 'Eastern Coral Sea'},
+
+  // ------------- Global test reefs --------------
+  // Reefs around the world for testing the definition of reef boundaries
+  {tileId: '56NLP', reef: 'Federated States of Micronesia', group: 'Global test reefs',
+    notes: 'Drowned coral atoll reefs because of subsidence'},
+  {tileId: '55PHK', reef: 'Federated States of Micronesia', group: 'Global test reefs',
+    notes: 'Drowned coral atoll reefs because of subsidence'},
+  {tileId: '41LMJ', reef: 'Saya de Malha Banks', group: 'Global test reefs',
+    notes: 'Near surface drowned continental area. 1 image, not much vis'},
+  {tileId: '41LLJ', reef: 'Saya de Malha Banks', group: 'Global test reefs',
+    notes: 'Near surface drowned continental area. 6 images, 2 usable images'},
+  {tileId: '41LLK', reef: 'Saya de Malha Banks', group: 'Global test reefs',
+    notes: 'Near surface drowned continental area.'},
+  {tileId: '57KVV', reef: 'Chesterfield Reefs', group: 'Global test reefs'},
+  {tileId: '57KVU', reef: 'Chesterfield Reefs', group: 'Global test reefs'},
+  {tileId: '57KVT', reef: 'Chesterfield Reefs', group: 'Global test reefs'},
+  {tileId: '57KVS', reef: 'Chesterfield Reefs', group: 'Global test reefs'},
+  {tileId: '57KWS', reef: 'Chesterfield Reefs', group: 'Global test reefs'},
+  {tileId: '57KWR', reef: 'Chesterfield Reefs', group: 'Global test reefs'}
+];
+
+/**
+ * Adds the tiles of a catalogue of selected images to the registry, ahead of
+ * the other tiles. The reef, region and notes are taken from the catalogue
+ * entries and the group is the name of the catalogue. Tiles that are already
+ * in the registry are not added again.
+ * @param {object} catalogue - Catalogue module, i.e. catalogue-coral-sea, with
+ *      name and entries.
+ */
+exports.add_catalogue = function(catalogue) {
+  var added = catalogue.entries.filter(function(catalogueEntry) {
+    return exports.get_entry(catalogueEntry.tileId) === null;
+  }).map(function(catalogueEntry) {
+    var entry = {
+      tileId: catalogueEntry.tileId, 
+      reef: catalogueEntry.reef, 
+      group: catalogue.name
+    };
+    if (catalogueEntry.region) {
+      entry.region = catalogueEntry.region;
+    }
+    if (catalogueEntry.notes) {
+      entry.notes = catalogueEntry.notes;
+    }
+    return entry;
+  });
+  exports.entries = added.concat(exports.entries);
+};
+
+/**
+ * Returns the registry entry for a tile.
+ * @param {string} tileId - Sentinel 2 tile ID such as '55KFA'.
+ * @return {object} Registry entry or null if the tile is not in the registry.
+ */
+exports.get_entry = function(tileId) {
+  for (var i = 0; i < exports.entries.length; i++) {
+    if (exports.entries[i].tileId === tileId) {
+      return exports.entries[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns a one line description of a registry entry for use in the tile picker,
+ * i.e. '55KFA - Flinders, Dart Heralds Surprise (Coral Sea, Central)'
+ * @param {object} entry - Registry entry.
+ * @return {string} Description of the tile.
+ */
+exports.get_label = function(entry) {
+  var where = [entry.group];
+  if (entry.region) {
+    where.push(entry.region);
+  }
+  return entry.tileId+(entry.reef ? ' - '+entry.reef : '')+' ('+where.join(', ')+')';
+};
+
+/**
+ * Returns the registry entries that match a search string. The search is case
+ * insensitive and matches any part of the tile ID, reef names, group, region or notes.
+ * @param {string} search - Text to search for. Empty matches all entries.
+ * @return {object[]} Matching registry entries.
+ */
+exports.search = function(search) {
+  var text = (search || '').toLowerCase();
+  return exports.entries.filter(function(entry) {
+    return [entry.tileId, entry.reef, entry.group, entry.region || '', entry.notes || '']
+      .join(' ').toLowerCase().indexOf(text) >= 0;
+  });
+};
@@ -1,3 +1,9 @@
+// === README: Change the path to your local copy of the code ====
+// The path to the s2-image-id code must be an absolute path including the
+// username and repository
+var s2_image_id = require('users/ericlawrey/CS_AIMS_Sentinel2-marine_V0:s2-image-id');
+var mgrs = require('users/ericlawrey/CS_AIMS_Sentinel2-marine_V0:mgrs');
+
 /**
  * Creates a composite Sentinel2 image from the specified set of image IDs, 
  * and applies the specified colourGrading to the image, creating, displaying
@@ -41,18 +47,115 @@
  *                                  {date range}-n{number of images}
  *        {string} exportFolder -   Folder in Google Drive to export the image to. The colourGrade
  *                                  is appended to the folder to file tiles based on colourGrades.
+ *                                  Only used if destination is not specified.
+ *        [{object}] destination -  (optional) Where to export the images to. The images are 
+ *                                  named using the same naming scheme for all destinations.
+ *                                  Default: {type: 'drive', folder: exportFolder}
+ *                                  Google Drive:
+ *                                    {type: 'drive', folder: 'EarthEngine/AU_AIMS_Sentinel2-marine_V1'}
+ *                                  Google Cloud Storage. The files are saved to 
+ *                                  gs://{bucket}/{prefix}/{export name}:
+ *                                    {type: 'cloudStorage', bucket: 'aims-s2', 
+ *                                     prefix: 'AU_AIMS_Sentinel2-marine_V1'}
+ *                                  Earth Engine asset. The images are saved to {path}/{export name}.
+ *                                  pyramidingPolicy is optional and defaults to {'.default': 'mean'}:
+ *                                    {type: 'asset', 
+ *                                     path: 'users/ericlawrey/AU_AIMS_Sentinel2-marine_V1',
+ *                                     pyramidingPolicy: {'.default': 'mean'}}
  *        {integer} scale -         Default scale to apply to the exports in metres. For Sentinel 2
  *                                  full resolution exports would be 10. Set scale higher if you
  *                                  wish to lower the resolution of the export. It is probably
  *                                  wise to keep it a ratio of the native image resolution of 10 m
  *                                  for best quality, noting I have not tested this theory.
+ *                                  Default 10.
+ *        [{string}] crs -          (optional) Coordinate reference system of the export, i.e.
+ *                                  'EPSG:32755'. If not specified then the Earth Engine default
+ *                                  (EPSG:4326) is used. Set to 'MGRS' to export in the UTM zone
+ *                                  of the Sentinel 2 tiles with the pixels aligned to the Sentinel
+ *                                  2 pixel grid. This is intended for composites of tiles in a
+ *                                  single UTM zone.
+ *        [{number[]}] crsTransform - (optional) Affine transform of the export pixel grid
+ *                                  [xScale, xShearing, xTranslation, yShearing, yScale, yTranslation].
+ *                                  Requires crs to be set to a projection with units of metres.
+ *                                  When set, scale is ignored. i.e. [10, 0, 0, 0, -10, 0]
+ *        [{number}] maxPixels -    (optional) Maximum number of pixels in the export. By default
+ *                                  this is estimated from the extent of the export region and the
+ *                                  export resolution, with a minimum of 3e8.
+ *        [{boolean}] cloudOptimized - (optional) If true then export Cloud Optimised GeoTIFFs with
+ *                                  the NoData value set to 0. These are tiled with internal
+ *                                  overviews and so don't need post processing with
+ *                                  03-local-scripts/convert.py. Only applies to the 'drive' and
+ *                                  'cloudStorage' destinations. Default false.
+ *        [{integer}] tileSize -    (optional) Tile size in pixels of the Cloud Optimised GeoTIFF.
+ *                                  Default 256.
+ *        [{object}] reflectance -  (optional) If specified then also export the bands of the 
+ *                                  composite as reflectance values for quantitative work. These
+ *                                  are the Top of Atmosphere reflectance after sunglint correction
+ *                                  and cloud masking, without any colour grading. The export is
+ *                                  named the same as the colourGrades, but with 'Reflectance' in
+ *                                  place of the colourGrade. Typical example:
+ *                                  {bands: ['B1','B2','B3','B4','B5','B8','B11'], type: 'uint16'}
+ *                                  See get_reflectance_export_image() for details.
+ *        [{ee.Geometry|ee.FeatureCollection|object}] region - (optional) Area of interest to
+ *                                  clip the composite to and export. By default the whole
+ *                                  area of the Sentinel 2 tiles is exported. This can be an
+ *                                  ee.Geometry, an ee.FeatureCollection (the union of all features
+ *                                  is used) or a named feature from a dataset such as a reef
+ *                                  boundary dataset:
+ *                                  {dataset: 'users/<username>/Coral-Sea-reef-boundaries',
+ *                                   nameProperty: 'Name', name: 'Mellish Reef'}
+ *                                  dataset can be an asset ID or an ee.FeatureCollection.
+ *        [{number}] regionBuffer - (optional) Buffer in metres to apply to the region. Default 0.
+ *        [{string}] regionName -   (optional) Name of the region to use in the file name in
+ *                                  place of the list of Sentinel tile IDs. Required if region
+ *                                  is an ee.Geometry or ee.FeatureCollection. Defaults to the
+ *                                  name of the feature for a named feature. Characters that
+ *                                  are not allowed in export names are replaced with '-'.
+ *                                  exportBasename_{colourGrade}_{regionName}_{date range}-n{number of images}
+ *        [{string|object}] cloudMask - (optional) Cloud and shadow masking to apply. Either the
+ *                                  name of a preset: 'default', 'cay-safe', 'aggressive' or 
+ *                                  'none', or a custom set of parameters. See CLOUD_MASK_PRESETS.
+ *                                  Cloud masking is never applied to a single image. 
+ *                                  Default 'default'.
+ *        [{string|object}] reducer - (optional) How the images are combined into the composite.
+ *                                  Default 'median'. See reduce_composite() for the options.
+ *                                  With only a few clear images a lower percentile or a quality
+ *                                  mosaic can be better at removing residual cloud, i.e.
+ *                                  {percentile: 30} or {qualityMosaic: 'cloud'}
+ *        [{string}] tileGeometrySource - (optional) Where the tile footprints come from.
+ *                                  'grid' (default) for the ESA tiling grid asset or 'mgrs'
+ *                                  to calculate them from the tile IDs. See get_s2_tile_features().
+ *        [{string}] cloudProbabilityFallback - (optional) What to do with images that have
+ *                                  no COPERNICUS/S2_CLOUD_PROBABILITY image. 'drop', 'qa60'
+ *                                  or 'unmasked'. See CLOUD_PROBABILITY_FALLBACKS. 
+ *                                  Default 'drop'. With 'drop' a composite with missing
+ *                                  cloud probability images is not exported. With 
+ *                                  {qualityMosaic: 'cloud'} the 'qa60' and 'unmasked' images
+ *                                  are treated as 100% cloud probability so they are only
+ *                                  used where no other image has a clear pixel.
+ *        [{string|object}] cirrus - (optional) Thin cirrus correction using the B10 cirrus 
+ *                                  band, applied before the sunglint correction. 
+ *                                  'subtract' removes the estimated cirrus brightness,
+ *                                  'mask' masks pixels with cirrus or a custom set of
+ *                                  parameters, see CIRRUS_DEFAULT_PARAMS. Default 'none'.
+ *        [{string}] sunglintMethod - (optional) Name of the sunglint correction method
+ *                                  to apply to each image. One of 'default', 'adaptive', 
+ *                                  'hedley', 'B8' or 'none'. See SUNGLINT_METHODS. 
+ *                                  Default 'default'. The method is added to the default
+ *                                  displayLabel so methods can be compared on the same tile.
+ *        [{object}] sunglintParams - (optional) Parameters for the sunglint method, 
+ *                                  i.e. {bandScalars: {B2: 0.8}} for 'default' or 
+ *                                  {deepWaterRegion: geometry} for 'hedley'.
+ *        [{string}] displayLabel - (optional) Label for the composite in the displayed composites
+ *                                  panel, i.e. 'Osprey Reef (55LDE) R1'. Defaults to the tile
+ *                                  IDs or regionName and date range.
  */
 exports.s2_composite_display_and_export = function(
     imageIds, is_display, is_export, options) {
   
   var colourGrades = options.colourGrades;
-  var exportFolder = options.exportFolder;
   var exportBasename = options.exportBasename;
+  var destination = options.destination || {type: 'drive', folder: options.exportFolder};
   
   
   
@@ -60,109 +163,156 @@ exports.s2_composite_display_and_export = function(
   if (!(is_export || is_display)) {
     return;
   }
-  // Extract this from the imageIds.
-  // Convert:
-  
-  // Determine the set of Sentinel 2 UTM tiles that are being composed together.
-  // Use this set to create part of the final file name.
-  // "COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV"
-  // To:
-  // "55KDV"
-  var utmTiles = imageIds.map(function(id) {
-    // Find the position of the characters just before the UTM
-    // tile in the Sentinel-2 IDs. 
-    var n = id.lastIndexOf("_T")+2;
-    return id.substr(n);
-  });
-  
-  // Remove duplicates in the tileIds. 
-  // Modified from 
-  // https://stackoverflow.com/questions/9229645/remove-duplicate-values-from-js-array
-  var seen = {};
-  var uniqueUtmTiles = utmTiles.filter(function(item) {
-        return seen.hasOwnProperty(item) ? false : (seen[item] = true);
-  });
-  
+  // Check the image IDs are well formed before they are used in names.
+  try {
+    imageIds.forEach(s2_image_id.parse_s2_image_id);
+  } catch (err) {
+    print("ERROR: "+err.message);
+    return;
+  }
+  // Determine the set of Sentinel 2 UTM tiles that are being composed together
+  // and the date range of the images. Use these to create part of the final
+  // file name. i.e. 55KDV and 201606-202008-n5
+  var uniqueUtmTiles = s2_image_id.get_s2_tile_ids(imageIds);
   var utmTilesString = uniqueUtmTiles.join('-');
+  var dateRangeStr = s2_image_id.get_s2_date_range_str(imageIds);
   
-  // Get the years and months of the images in the composite to
-  // generate a date range to put in the filename
-  // COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV"
-  // To:
-  // "201708"
-  var tileDates = imageIds.map(function(id) {
-    // Find the position of the characters just after S2/
-    // tile in the Sentinel-2 IDs. 
-    var n = id.lastIndexOf("S2/")+3;
-    return id.substr(n,6);
-  });
-  
-  var dateRangeStr;
-  
-  // This works because the date strings are in yyyymm format
-  var datesInOrder = tileDates.sort();
-  
-  if (tileDates.length === 1) {
-    // Just use the one date in the name
-    // 201606-n1
-    dateRangeStr = datesInOrder[0]+'-n1';
-  } else {
-    // Get the start and end dates
-    // 201606-202008-n5
-    dateRangeStr = datesInOrder[0]+'-'+datesInOrder[datesInOrder.length-1]+
-      '-n'+datesInOrder.length;
-  }
+  // Name of the area in the file names.
+  var areaName = utmTilesString;
 
   if (!Array.isArray(colourGrades)) {
     print("ERROR: For tiles "+utmTilesString+
       " colourGrades must be an array for proper behaviour");
     return;
   }
+  if (exports.EXPORT_DESTINATION_TYPES.indexOf(destination.type) < 0) {
+    print("ERROR: For tiles "+utmTilesString+
+      " unknown export destination type: "+destination.type+". Expected one of "+
+      exports.EXPORT_DESTINATION_TYPES.join(', '));
+    return;
+  }
+  var cloudMaskParams = exports.get_cloud_mask_params(options.cloudMask);
+  if (cloudMaskParams === undefined) {
+    print("ERROR: For tiles "+utmTilesString+
+      " unknown cloudMask preset or invalid custom parameters: "+
+      JSON.stringify(options.cloudMask)+". Expected one of "+
+      Object.keys(exports.CLOUD_MASK_PRESETS).join(', ')+
+      " or parameters with the same structure as CLOUD_MASK_PRESETS");
+    return;
+  }
+  if (options.cloudProbabilityFallback && 
+      exports.CLOUD_PROBABILITY_FALLBACKS.indexOf(options.cloudProbabilityFallback) < 0) {
+    print("ERROR: For tiles "+utmTilesString+
+      " unknown cloudProbabilityFallback: "+options.cloudProbabilityFallback+
+      ". Expected one of "+exports.CLOUD_PROBABILITY_FALLBACKS.join(', '));
+    return;
+  }
+  var cirrusParams = exports.get_cirrus_params(options.cirrus);
+  if (cirrusParams === undefined) {
+    print("ERROR: For tiles "+utmTilesString+
+      " invalid cirrus option: "+JSON.stringify(options.cirrus)+
+      ". Expected 'subtract', 'mask', 'none' or parameters with a method of "+
+      "'subtract' or 'mask'");
+    return;
+  }
+  var sunglintFunction = exports.get_sunglint_function(
+    options.sunglintMethod, options.sunglintParams);
+  if (sunglintFunction === null) {
+    print("ERROR: For tiles "+utmTilesString+
+      " unknown sunglintMethod: "+options.sunglintMethod+". Expected one of "+
+      Object.keys(exports.SUNGLINT_METHODS).join(', '));
+    return;
+  }
+  if (options.crsTransform && !options.crs) {
+    print("ERROR: For tiles "+utmTilesString+
+      " crsTransform requires crs to be specified");
+    return;
+  }
   
   // Get the outter boundary polygon of the tiles
   // This is to help make the get_s2_cloud_collection process more
   // efficient. This part can be reused, however we only need it 
   // here to be used once.
-  var tilesGeometry = exports.get_s2_tiles_geometry(
-    imageIds, ee.Geometry.BBox(109, -33, 158, -7));
+  // The search box is determined from the tile IDs so that tiles anywhere
+  // in the world can be composited.
+  var searchBbox = get_s2_tiles_search_bbox(uniqueUtmTiles);
+  var tilesGeometry = exports.get_s2_tiles_geometry(imageIds, searchBbox, 
+    options.tileGeometrySource);
   
-  // Can't seem to test for an empty geometry in GEE.
+  // An empty geometry can only be detected on the server. This is checked 
+  // by validate_composite_export() prior to exporting.
+  
+  // Area to export. This is the whole of the tiles unless a region is specified.
+  var exportRegion = tilesGeometry;
+  var clipRegion = null;
+  if (options.region) {
+    var region = exports.get_export_region(options.region, options.regionBuffer, 
+      options.regionName);
+    if (region === null) {
+      print("ERROR: For tiles "+utmTilesString+" the region is invalid");
+      return;
+    }
+    exportRegion = region.geometry;
+    clipRegion = region.geometry;
+    areaName = region.name;
+  }
 
-  var s2_cloud_collection = exports.get_s2_cloud_collection(imageIds, tilesGeometry);
+  var s2_cloud_collection = exports.get_s2_cloud_collection(imageIds, tilesGeometry,
+    options.cloudProbabilityFallback);
 
-  var composite = s2_cloud_collection
-    .map(exports.removeSunGlint);
+  var composite = s2_cloud_collection;
+  if (cirrusParams !== null) {
+    composite = composite.map(function(img) {
+      return exports.remove_cirrus(img, cirrusParams);
+    });
+  }
+  composite = composite.map(sunglintFunction);
+  
+  var bandNames = ['B1','B2','B3','B4','B5','B6','B7','B8',
+        'B8A','B9','B10','B11','B12','QA10','QA20','QA60'];
   
   // Don't apply a cloud mask if there is only a single image
-  var applyCloudMask = imageIds.length > 1;
+  var applyCloudMask = imageIds.length > 1 && cloudMaskParams !== null;
   if (applyCloudMask) {
-    composite = composite.map(exports.add_s2_cloud_shadow_mask)
-      .map(exports.apply_cloud_shadow_mask)
-      .reduce(ee.Reducer.percentile([50],["p50"]))
-      .rename(['B1','B2','B3','B4','B5','B6','B7','B8',
-        'B8A','B9','B10','B11','B12','QA10','QA20','QA60','cloudmask']);
-  } else {
-
     composite = composite
-      .reduce(ee.Reducer.percentile([50],["p50"]))
-      .rename(['B1','B2','B3','B4','B5','B6','B7','B8',
-        'B8A','B9','B10','B11','B12','QA10','QA20','QA60']);
+      .map(function(img) {
+        return exports.add_s2_cloud_shadow_mask(img, cloudMaskParams);
+      })
+      .map(exports.apply_cloud_shadow_mask);
+    bandNames = bandNames.concat(['cloudmask']);
+  }
+  
+  composite = exports.reduce_composite(composite, bandNames, options.reducer);
+  if (composite === null) {
+    print("ERROR: For tiles "+utmTilesString+" the reducer is invalid");
+    return;
+  }
+    
+  if (clipRegion !== null) {
+    composite = composite.clip(clipRegion);
   }
     
   var includeCloudmask = false;
   
+  // Exports are queued after all the colourGrades are prepared so that
+  // the size of the export only needs to be estimated once.
+  var exportImages = [];
+  
+  // Map layers of each colourGrade for the display manager.
+  var displayLayers = [];
+  
   // Prepare images for each of the specified colourGrades
   for (var i=0; i < colourGrades.length; i++) {
     
     
     // Example name: AU_AIMS_Sentinel2-marine_V1_TrueColour_55KDU_201606-202008-n10
     var exportName = exportBasename+'_'+colourGrades[i]+
-      '_'+utmTilesString+'_'+dateRangeStr;
+      '_'+areaName+'_'+dateRangeStr;
       
     // Create a shorter display name for on the map.
     // Example name: TrueColour_55KDU_201606-202008-n10
     var displayName = colourGrades[i]+
-      '_'+utmTilesString+'_'+dateRangeStr;
+      '_'+areaName+'_'+dateRangeStr;
 
     var final_composite = exports.bake_s2_colour_grading(composite, colourGrades[i], includeCloudmask);
   
@@ -170,8 +320,10 @@ exports.s2_composite_display_and_export = function(
     // file size considerably smaller.
     // Reserve 0 for no_data so that the images can be converted to not
     // have black borders. Scaling the data ensures that no valid data
-    // is 0.
-    var uint8_composite = final_composite.multiply(254).add(1).toUint8();
+    // is 0. Record this convention in the image properties so that it
+    // is carried with asset exports.
+    var uint8_composite = final_composite.multiply(254).add(1).toUint8()
+      .set(exports.UINT8_EXPORT_PROPERTIES);
     
     // Export the image, specifying scale and region.
     // Only trigger the export when we want. The export process can take quite a while
@@ -179,31 +331,822 @@ exports.s2_composite_display_and_export = function(
     // 3 days on the queue.
   
     if (is_export) {
-      print("======= Exporting image "+exportName+" =======");
-      //var saLayer = ui.Map.Layer(tilesGeometry, {color: 'FF0000'}, 'Export Area');
-      //Map.layers().add(saLayer);
-      Export.image.toDrive({
-        //image: final_composite,
-        image: uint8_composite,
-        description: exportName,
-        folder:exportFolder,
-        fileNamePrefix: exportName,
-        scale: 10,          // Native image resolution of Sentinel 2 is 10m.
-        region: tilesGeometry,
-        maxPixels: 3e8      // Raise the default limit of 1e8 to fit the export
-      });
+      exportImages.push({image: uint8_composite, name: exportName, noData: exports.UINT8_NODATA});
     }
     if (is_display) {
-      Map.addLayer(final_composite, {'min': 0, 'max': 1, 'gamma': 1},
-                      displayName, false, 1);
+      displayLayers.push({
+        name: colourGrades[i],
+        layer: Map.addLayer(final_composite, {'min': 0, 'max': 1, 'gamma': 1},
+                      displayName, false, 1)
+      });
       if (includeCloudmask) {
-        Map.addLayer(final_composite.select('cloudmask').selfMask(), {'palette': 'orange'},
-                     displayName+'_cloudmask', false, 0.5);
+        displayLayers.push({
+          name: colourGrades[i]+' cloudmask',
+          layer: Map.addLayer(final_composite.select('cloudmask').selfMask(), {'palette': 'orange'},
+                     displayName+'_cloudmask', false, 0.5)
+        });
       }
     } 
   }
+  
+  if (is_display) {
+    exports.add_displayed_composite(
+      options.displayLabel || areaName+' '+dateRangeStr+
+        (options.sunglintMethod ? ' '+options.sunglintMethod : ''), 
+      exportRegion, displayLayers);
+  }
+  
+  if (is_export && options.reflectance) {
+    var reflectance = exports.get_reflectance_export_image(composite, options.reflectance);
+    if (reflectance !== null) {
+      // Example name: AU_AIMS_Sentinel2-marine_V1_Reflectance_55KDU_201606-202008-n10
+      exportImages.push({
+        image: reflectance.image, 
+        name: exportBasename+'_Reflectance_'+areaName+'_'+dateRangeStr,
+        noData: reflectance.noData
+      });
+    }
+  }
+  
+  if (exportImages.length === 0) {
+    return;
+  }
+  var projection = exports.get_export_projection(uniqueUtmTiles, options);
+  var compositeName = (options.displayLabel || areaName)+' '+dateRangeStr;
+  exports.validate_composite_export(compositeName, imageIds, searchBbox, 
+      options.tileGeometrySource, exportRegion, s2_cloud_collection, function(passed) {
+    if (!passed) {
+      return;
+    }
+    exports.get_export_max_pixels(exportRegion, projection, options.maxPixels, function(maxPixels) {
+      exportImages.forEach(function(exportImage) {
+        print("======= Exporting image "+exportImage.name+" =======");
+        //var saLayer = ui.Map.Layer(exportRegion, {color: 'FF0000'}, 'Export Area');
+        //Map.layers().add(saLayer);
+        var exportParams = {
+          region: exportRegion,
+          maxPixels: maxPixels
+        };
+        Object.keys(projection).forEach(function(key) {
+          exportParams[key] = projection[key];
+        });
+        var fileFormat = exports.get_export_file_format(options, destination, exportImage.noData);
+        Object.keys(fileFormat).forEach(function(key) {
+          exportParams[key] = fileFormat[key];
+        });
+        exports.export_image(exportImage.image, exportImage.name, exportParams, destination);
+      });
+    });
+  });
 };
 
+/**
+ * Resolves the region, regionBuffer and regionName options of 
+ * s2_composite_display_and_export() into the geometry to clip and export
+ * and the name to use in the export file names.
+ * @param {ee.Geometry|ee.FeatureCollection|object} region - Region to export. 
+ *      See the region option of s2_composite_display_and_export().
+ * @param {number} buffer - (m) Buffer to apply to the region. Can be undefined.
+ * @param {string} regionName - Name of the region for the file names. If undefined
+ *      then the name of the named feature is used.
+ * @return {object} {geometry: ee.Geometry, name: string} or null if the region is invalid.
+ */
+exports.get_export_region = function(region, buffer, regionName) {
+  var geometry;
+  var name = regionName;
+  if (region instanceof ee.Geometry) {
+    geometry = region;
+  } else if (region instanceof ee.FeatureCollection || region instanceof ee.Feature) {
+    geometry = region.geometry();
+  } else if (region.dataset && region.name) {
+    var dataset = typeof region.dataset === 'string' ? 
+      ee.FeatureCollection(region.dataset) : region.dataset;
+    geometry = dataset.filter(ee.Filter.eq(region.nameProperty || 'name', region.name))
+      .geometry();
+    name = regionName || region.name;
+  } else {
+    print("ERROR: region must be an ee.Geometry, ee.FeatureCollection or "+
+      "{dataset, nameProperty, name}");
+    return null;
+  }
+  if (!name) {
+    print("ERROR: regionName must be specified for an ee.Geometry or "+
+      "ee.FeatureCollection region");
+    return null;
+  }
+  
+  if (buffer) {
+    // Use a modest error margin as the buffer is only used to pad the region.
+    geometry = geometry.buffer(buffer, 10);
+  }
+  
+  return {
+    geometry: geometry,
+    // Export descriptions may only contain letters, numbers, ',', ':', ';', '_' 
+    // and '-'. Use the same name for the description and file name.
+    name: name.replace(/[^a-zA-Z0-9_,:;-]+/g, '-')
+  };
+};
+
+// Destination types supported by export_image()
+exports.EXPORT_DESTINATION_TYPES = ['drive', 'cloudStorage', 'asset'];
+
+/**
+ * Queues an export of an image to Google Drive, Google Cloud Storage or
+ * an Earth Engine asset. The exportName is used as the task description and
+ * as the file or asset name at the destination.
+ * @param {ee.Image} image - Image to export.
+ * @param {string} exportName - Name of the export, i.e. 
+ *      AU_AIMS_Sentinel2-marine_V1_TrueColour_55KDU_201606-202008-n10
+ * @param {object} exportParams - Additional parameters to pass to the Export
+ *      function such as region, scale, crs and maxPixels.
+ * @param {object} destination - Where to export the image to. See the 
+ *      destination option of s2_composite_display_and_export().
+ */
+exports.export_image = function(image, exportName, exportParams, destination) {
+  var params = {
+    image: image,
+    description: exportName
+  };
+  Object.keys(exportParams).forEach(function(key) {
+    params[key] = exportParams[key];
+  });
+  
+  if (destination.type === 'drive') {
+    params.folder = destination.folder;
+    params.fileNamePrefix = exportName;
+    Export.image.toDrive(params);
+  } else if (destination.type === 'cloudStorage') {
+    params.bucket = destination.bucket;
+    params.fileNamePrefix = destination.prefix ? 
+      destination.prefix+'/'+exportName : exportName;
+    Export.image.toCloudStorage(params);
+  } else if (destination.type === 'asset') {
+    params.assetId = destination.path+'/'+exportName;
+    // The mean suits the continuous colour graded images when building the lower
+    // resolution pyramid levels. This is the Earth Engine default, but it is set
+    // explicitly so it is clear what can be overridden (i.e. 'mode' for
+    // classified images).
+    params.pyramidingPolicy = destination.pyramidingPolicy || {'.default': 'mean'};
+    Export.image.toAsset(params);
+  } else {
+    print("ERROR: Unknown export destination type: "+destination.type+
+      " for "+exportName);
+  }
+};
+
+/**
+ * Combines a collection of images into a single composite image. The bands of 
+ * the composite have the same names as the bands of the images.
+ * @param {ee.ImageCollection} collection - Images to combine. These must have 
+ *      the s2cloudless property from get_s2_cloud_collection() for the 'cloud'
+ *      quality mosaic.
+ * @param {String[]} bandNames - Names of the bands of the images in order.
+ * @param {string|object} reducer - How to combine the images:
+ *      'median' (default)    - Median of each pixel.
+ *      'mean'                - Mean of each pixel.
+ *      {percentile: 30}      - Percentile of each pixel. Lower percentiles favour
+ *                              darker pixels, helping to remove residual cloud.
+ *      {percentiles: {B1: 30, B2: 30, default: 50}} - Percentile for each band.
+ *                              Bands that are not listed use the default percentile 
+ *                              (50 if not specified).
+ *      {qualityMosaic: 'cloud'} - Best pixel mosaic. Each pixel is taken from the image
+ *                              with the lowest cloud probability. Images without a
+ *                              COPERNICUS/S2_CLOUD_PROBABILITY image (see 
+ *                              CLOUD_PROBABILITY_FALLBACKS) are ranked as 100% cloud.
+ *      {qualityMosaic: 'glint'} - Best pixel mosaic. Each pixel is taken from the image
+ *                              with the lowest near infrared (B8) brightness, i.e. the
+ *                              lowest sunglint.
+ * @return {ee.Image} Composite image or null if the reducer is not valid.
+ */
+exports.reduce_composite = function(collection, bandNames, reducer) {
+  var spec = reducer || 'median';
+  
+  if (spec === 'median') {
+    spec = {percentile: 50};
+  }
+  if (spec === 'mean') {
+    return collection.reduce(ee.Reducer.mean()).rename(bandNames);
+  }
+  if (typeof spec.percentile === 'number') {
+    return collection.reduce(ee.Reducer.percentile([spec.percentile]))
+      .rename(bandNames);
+  }
+  if (spec.percentiles) {
+    var defaultPercentile = spec.percentiles['default'] || 50;
+    var bandImages = bandNames.map(function(band) {
+      var percentile = spec.percentiles.hasOwnProperty(band) ? 
+        spec.percentiles[band] : defaultPercentile;
+      return collection.select(band).reduce(ee.Reducer.percentile([percentile]));
+    });
+    return ee.Image.cat(bandImages).rename(bandNames);
+  }
+  if (spec.qualityMosaic === 'cloud' || spec.qualityMosaic === 'glint') {
+    // qualityMosaic picks the pixel with the highest quality and so the
+    // cloud probability and B8 brightness are negated.
+    var mosaic = collection.map(function(img) {
+      var quality;
+      if (spec.qualityMosaic === 'cloud') {
+        // The cloud probability is not masked by the cloud and shadow mask and
+        // so it is given the mask of the image bands. Otherwise a masked shadow
+        // pixel with a low cloud probability could be picked over valid pixels
+        // of other images, leaving a hole in the composite.
+        // The fallback probability of images without a cloud probability image
+        // is either coarse (qa60) or 0 (unmasked), which would win over the
+        // real probabilities of the other images. Rank these as worst case.
+        var probability = ee.Image(ee.Algorithms.If(
+          img.get('missing_cloud_probability'),
+          ee.Image.constant(100).rename('probability'),
+          ee.Image(img.get('s2cloudless')).select('probability')));
+        quality = probability.updateMask(img.select('B2').mask());
+      } else {
+        quality = img.select('B8');
+      }
+      return img.addBands(quality.multiply(-1).toFloat().rename('quality'));
+    }).qualityMosaic('quality');
+    return mosaic.select(bandNames);
+  }
+  print("ERROR: Unknown reducer: "+JSON.stringify(reducer));
+  return null;
+};
+
+/**
+ * Determines the projection parameters (crs, crsTransform and scale) to apply
+ * to an export based on the scale, crs and crsTransform options of 
+ * s2_composite_display_and_export(). Only the parameters that are needed are
+ * included so that the result can be merged into the Export parameters.
+ * @param {String[]} tileIds - Sentinel 2 tile IDs of the composite, i.e. ['55KDV']
+ * @param {object} options - Options containing scale, crs and crsTransform.
+ * @return {object} Export projection parameters, i.e. {scale: 10} or
+ *      {crs: 'EPSG:32755', crsTransform: [10, 0, 0, 0, -10, 0]}
+ */
+exports.get_export_projection = function(tileIds, options) {
+  var scale = options.scale || 10;    // Native image resolution of Sentinel 2 is 10m.
+  
+  if (options.crs === 'MGRS') {
+    // Use the native UTM zone of the tiles. The Sentinel 2 tile origins are on
+    // multiples of 10 m in UTM coordinates, so a grid with no translation lines
+    // up with the 10 m pixels of the source imagery.
+    var crs = s2_image_id.get_s2_tile_utm_crs(tileIds[0]);
+    tileIds.forEach(function(tileId) {
+      if (s2_image_id.get_s2_tile_utm_crs(tileId) !== crs) {
+        print("WARNING: Tile "+tileId+" is not in the same UTM zone as "+
+          tileIds[0]+". Exporting in "+crs);
+      }
+    });
+    return {crs: crs, crsTransform: [scale, 0, 0, 0, -scale, 0]};
+  }
+  if (options.crsTransform) {
+    return {crs: options.crs, crsTransform: options.crsTransform};
+  }
+  if (options.crs) {
+    return {crs: options.crs, scale: scale};
+  }
+  return {scale: scale};
+};
+
+// Pixel value used for no data in the 8 bit exports. 
+exports.UINT8_NODATA = 0;
+
+// Properties set on the 8 bit exports to record how the pixel values
+// were encoded from the 0 - 1 colour graded image.
+exports.UINT8_EXPORT_PROPERTIES = {
+  'nodata_value': exports.UINT8_NODATA,
+  // CF convention: value = pixel * scale_factor + add_offset
+  'scale_factor': 1/254,
+  'add_offset': -1/254
+};
+
+// Pixel value used for no data in the uint16 reflectance exports.
+exports.UINT16_NODATA = 0;
+
+// Pixel value used for no data in the float reflectance exports.
+exports.FLOAT_NODATA = -9999;
+
+// Offset added to the uint16 reflectance values so that negative values, 
+// which can occur after sunglint correction, are retained. This matches
+// the offset used by ESA in the Sentinel 2 products from processing
+// baseline 04.00.
+var UINT16_REFLECTANCE_OFFSET = 1000;
+
+/**
+ * Prepares the bands of a composite for a reflectance export. 
+ *
+ * The composite pixel values are Top of Atmosphere reflectance scaled by 10000,
+ * after sunglint correction. These are encoded as:
+ *  'uint16' - pixel = reflectance * 10000 + 1000, clamped to 1 - 65535.
+ *             0 is no data. reflectance = pixel * 0.0001 - 0.1
+ *  'float'  - pixel = reflectance (0 - 1). -9999 is no data.
+ * The encoding is recorded in the image properties: scale_factor, add_offset
+ * (CF convention: reflectance = pixel * scale_factor + add_offset), 
+ * nodata_value and band_names.
+ * @param {ee.Image} composite - Composite image with bands B1 - B12.
+ * @param {object} reflectanceOptions - 
+ *      [{String[]}] bands - Bands to export. Any of 'B1','B2','B3','B4','B5',
+ *                           'B6','B7','B8','B8A','B9','B10','B11','B12'.
+ *                           Default ['B1','B2','B3','B4','B5','B8','B11']
+ *      [{string}] type - 'uint16' or 'float'. Default 'uint16'
+ * @return {object} {image: ee.Image, noData: number} or null if the options are invalid.
+ */
+exports.get_reflectance_export_image = function(composite, reflectanceOptions) {
+  var S2_BANDS = ['B1','B2','B3','B4','B5','B6','B7','B8','B8A','B9','B10','B11','B12'];
+  var bands = reflectanceOptions.bands || ['B1','B2','B3','B4','B5','B8','B11'];
+  var type = reflectanceOptions.type || 'uint16';
+  
+  var unknownBands = bands.filter(function(band) {
+    return S2_BANDS.indexOf(band) < 0;
+  });
+  if (unknownBands.length > 0) {
+    print("ERROR: Unknown reflectance bands: "+unknownBands.join(', '));
+    return null;
+  }
+  
+  var bandsImage = composite.select(bands);
+  if (type === 'uint16') {
+    return {
+      image: bandsImage.add(UINT16_REFLECTANCE_OFFSET).clamp(1, 65535).toUint16()
+        .set({
+          'nodata_value': exports.UINT16_NODATA,
+          'scale_factor': 1e-4,
+          'add_offset': -UINT16_REFLECTANCE_OFFSET*1e-4,
+          'band_names': bands.join(',')
+        }),
+      noData: exports.UINT16_NODATA
+    };
+  } else if (type === 'float') {
+    return {
+      image: bandsImage.divide(1e4).toFloat()
+        .set({
+          'nodata_value': exports.FLOAT_NODATA,
+          'scale_factor': 1,
+          'add_offset': 0,
+          'band_names': bands.join(',')
+        }),
+      noData: exports.FLOAT_NODATA
+    };
+  }
+  print("ERROR: Unknown reflectance type: "+type+". Expected 'uint16' or 'float'");
+  return null;
+};
+
+/**
+ * Determines the file format parameters of an export based on the 
+ * cloudOptimized and tileSize options of s2_composite_display_and_export().
+ * Only the parameters that are needed are included so that the result can
+ * be merged into the Export parameters.
+ * @param {object} options - Options containing cloudOptimized and tileSize.
+ * @param {object} destination - Export destination. Asset exports don't 
+ *      have a file format and so are left unchanged.
+ * @param {number} noData - Pixel value to write for no data areas.
+ * @return {object} Export file format parameters, i.e. {} or
+ *      {fileFormat: 'GeoTIFF', formatOptions: {cloudOptimized: true, noData: 0},
+ *       shardSize: 256}
+ */
+exports.get_export_file_format = function(options, destination, noData) {
+  if (destination.type === 'asset') {
+    if (options.cloudOptimized) {
+      print("WARNING: cloudOptimized only applies to file exports. Ignoring for "+
+        "asset export to "+destination.path);
+    }
+    return {};
+  }
+  if (!options.cloudOptimized) {
+    // Masked pixels are written as 0 in GeoTIFF exports by default, so the 
+    // no data value only needs to be specified if it is something else.
+    if (noData === 0) {
+      return {};
+    }
+    return {
+      fileFormat: 'GeoTIFF',
+      formatOptions: {noData: noData}
+    };
+  }
+  return {
+    fileFormat: 'GeoTIFF',
+    formatOptions: {
+      cloudOptimized: true,
+      noData: noData
+    },
+    // Earth Engine writes the image in blocks of the shard size, which
+    // sets the internal tiling of the GeoTIFF.
+    shardSize: options.tileSize || 256
+  };
+};
+
+/**
+ * Estimates the maxPixels needed to export a region. Earth Engine exports
+ * fail if the number of pixels is larger than maxPixels and so this is 
+ * calculated from the size of the bounding box of the region in the export
+ * projection, with a small margin.
+ * In EPSG:4326 (the default export projection) Earth Engine converts the scale
+ * into a fixed pixel size in degrees (scale/111319.49) and so the number of 
+ * pixels is calculated from the longitude and latitude extent of the region. 
+ * Calculating this from the area of the region would under count the pixels 
+ * by cos(latitude).
+ * The size is calculated on the server and so the result is passed to
+ * a callback. If the estimate fails then a warning is printed and the 
+ * previous fixed limit of 3e8 is used so that the export still goes ahead.
+ * @param {ee.Geometry} region - Region to be exported.
+ * @param {object} projection - Export projection from get_export_projection().
+ * @param {number} maxPixels - If specified then this value is used without
+ *      estimating the size of the export.
+ * @param {function} callback - function(maxPixels) called with the estimate.
+ */
+exports.get_export_max_pixels = function(region, projection, maxPixels, callback) {
+  if (maxPixels) {
+    callback(maxPixels);
+    return;
+  }
+  var MARGIN = 1.1;           // Allow for pixels that are partially in the region.
+  // Previous fixed limit. Exports that fitted within this are never limited
+  // further by the estimate.
+  var MIN_MAX_PIXELS = 3e8;
+  var METRES_PER_DEGREE = 111319.49;   // Used by Earth Engine to convert scale to degrees.
+  var crs = projection.crs || 'EPSG:4326';
+  var pixelWidth = projection.crsTransform ? 
+    Math.abs(projection.crsTransform[0]) : projection.scale;
+  var pixelHeight = projection.crsTransform ? 
+    Math.abs(projection.crsTransform[4]) : projection.scale;
+  var onEstimate = function(pixels, error) {
+    if (error) {
+      print("WARNING: Could not estimate the export size, using maxPixels "+
+        MIN_MAX_PIXELS+": "+error);
+      callback(MIN_MAX_PIXELS);
+      return;
+    }
+    callback(Math.max(Math.ceil(pixels*MARGIN), MIN_MAX_PIXELS));
+  };
+  
+  if (crs === 'EPSG:4326') {
+    if (!projection.crsTransform) {
+      pixelWidth = projection.scale/METRES_PER_DEGREE;
+      pixelHeight = pixelWidth;
+    }
+    region.bounds(1, 'EPSG:4326').coordinates().evaluate(function(coords, error) {
+      if (error) {
+        onEstimate(null, error);
+        return;
+      }
+      var lons = coords[0].map(function(point) { return point[0]; });
+      var lats = coords[0].map(function(point) { return point[1]; });
+      var width = Math.max.apply(null, lons) - Math.min.apply(null, lons);
+      var height = Math.max.apply(null, lats) - Math.min.apply(null, lats);
+      onEstimate((width/pixelWidth)*(height/pixelHeight));
+    });
+    return;
+  }
+  // In a projected CRS (i.e. UTM) the pixels are a fixed size in metres.
+  region.bounds(1, crs).area(1).evaluate(function(area, error) {
+    if (error) {
+      onEstimate(null, error);
+      return;
+    }
+    onEstimate(area/(pixelWidth*pixelHeight));
+  });
+};
+
+
+// Side panel listing the composites that have been added to the map by 
+// s2_composite_display_and_export(). This is created when the first 
+// composite is displayed.
+var displayPanel = null;
+
+/**
+ * Records a composite that has been added to the map and lists it in a side
+ * panel so that reviewers can jump between composites. The panel has a 
+ * 'Zoom to' button for each composite and a checkbox to toggle each of
+ * its layers. The map is zoomed to the first composite that is displayed.
+ * This is called by s2_composite_display_and_export() when is_display is true.
+ * @param {string} label - Label of the composite in the panel, 
+ *      i.e. 'Osprey Reef (55LDE) R1'
+ * @param {ee.Geometry} geometry - Area of the composite to zoom to.
+ * @param {object[]} layers - Map layers of the composite as 
+ *      [{name: 'DeepFalse', layer: ui.Map.Layer}]
+ */
+exports.add_displayed_composite = function(label, geometry, layers) {
+  var ZOOM = 9;   // Shows a whole Sentinel 2 tile.
+  
+  if (displayPanel === null) {
+    displayPanel = ui.Panel({
+      widgets: [ui.Label({
+        value: 'Displayed composites',
+        style: {fontWeight: 'bold', fontSize: '18px', margin: '10px 5px'}
+      })],
+      style: {width: '300px'}
+    });
+    ui.root.insert(0, displayPanel);
+    // Zoom to the first composite so that it can be found without 
+    // manually panning.
+    Map.centerObject(geometry, ZOOM);
+  }
+  
+  var zoomButton = ui.Button('Zoom to', function() {
+    Map.centerObject(geometry, ZOOM);
+  }, false, {margin: '0 0 0 auto'});
+  var headerPanel = ui.Panel(
+    [ui.Label(label, {fontWeight: 'bold'}), zoomButton],
+    ui.Panel.Layout.Flow('horizontal'));
+  
+  // The layers are added hidden so that they are not all rendered at once.
+  // Use the checkboxes to toggle them.
+  var layerCheckboxes = layers.map(function(displayLayer) {
+    return ui.Checkbox(displayLayer.name, displayLayer.layer.getShown(), function(checked) {
+      displayLayer.layer.setShown(checked);
+    });
+  });
+  var layersPanel = ui.Panel(layerCheckboxes, ui.Panel.Layout.Flow('horizontal', true));
+  
+  displayPanel.add(ui.Panel([headerPanel, layersPanel]));
+};
+
+/**
+ * Creates the composites for a catalogue of image selections, such as 
+ * catalogue-coral-sea. Each catalogue entry corresponds to one Sentinel 2 tile
+ * and lists the image IDs for each of its reference composites (R1, R2).
+ * Each reference composite is passed to s2_composite_display_and_export()
+ * with the options that match its reference name.
+ * 
+ * Which composites are displayed and exported is determined by the 
+ * displayFilter and exportFilter. These can be:
+ *    false / null - No composites.
+ *    true         - All composites.
+ *    function(entry, reference) - Composite is selected if this returns true.
+ *    {object}     - Composite is selected if it matches all the specified 
+ *                   properties. Any of these can be left out:
+ *                   {
+ *                     tileIds: ['55KFA', '55KGA'], // Exact tile IDs
+ *                     reefs: ['Lihou'],            // Case insensitive part of the reef name
+ *                     regions: ['Central'],        // Exact region names
+ *                     references: ['R1']           // Reference composites
+ *                   }
+ * Example:
+ *   utils.s2_composite_catalogue(catalogue.entries, 
+ *     {regions: ['South'], references: ['R1']}, false, 
+ *     {R1: REF1_OPTIONS, R2: REF2_OPTIONS});
+ * 
+ * @param {object[]} entries -       Catalogue entries. See catalogue-coral-sea for the
+ *                                   structure of each entry.
+ * @param {object|function|boolean} displayFilter - Composites to display.
+ * @param {object|function|boolean} exportFilter -  Composites to export.
+ * @param {object} referenceOptions - Map from reference name (i.e. 'R1', 'R2') to the 
+ *                                   options to pass to s2_composite_display_and_export. 
+ *                                   Only the references listed are processed.
+ */
+exports.s2_composite_catalogue = function(
+    entries, displayFilter, exportFilter, referenceOptions) {
+  
+  entries.forEach(function(entry) {
+    Object.keys(referenceOptions).forEach(function(reference) {
+      var imageIds = entry[reference];
+      // Some tiles don't have enough images for a second reference composite.
+      if (!Array.isArray(imageIds) || imageIds.length === 0) {
+        return;
+      }
+      // Copy the options so the entry can be labelled in the displayed 
+      // composites panel without changing the shared options.
+      var options = {};
+      Object.keys(referenceOptions[reference]).forEach(function(key) {
+        options[key] = referenceOptions[reference][key];
+      });
+      options.displayLabel = entry.reef+' ('+entry.tileId+') '+reference;
+      
+      exports.s2_composite_display_and_export(imageIds,
+        exports.match_catalogue_entry(displayFilter, entry, reference),
+        exports.match_catalogue_entry(exportFilter, entry, reference),
+        options);
+    });
+  });
+};
+
+/**
+ * Tests whether a reference composite of a catalogue entry matches a filter.
+ * See s2_composite_catalogue() for the allowable filters.
+ * @param {object|function|boolean} filter - Filter to test against.
+ * @param {object} entry -      Catalogue entry.
+ * @param {string} reference -  Name of the reference composite, i.e. 'R1'
+ * @return {boolean} true if the composite is selected by the filter.
+ */
+exports.match_catalogue_entry = function(filter, entry, reference) {
+  if (!filter) {
+    return false;
+  }
+  if (filter === true) {
+    return true;
+  }
+  if (typeof filter === 'function') {
+    return filter(entry, reference) === true;
+  }
+  if (filter.tileIds && filter.tileIds.indexOf(entry.tileId) < 0) {
+    return false;
+  }
+  if (filter.regions && filter.regions.indexOf(entry.region) < 0) {
+    return false;
+  }
+  if (filter.references && filter.references.indexOf(reference) < 0) {
+    return false;
+  }
+  if (filter.reefs) {
+    var reef = entry.reef.toLowerCase();
+    var isReefMatch = filter.reefs.some(function(name) {
+      return reef.indexOf(name.toLowerCase()) >= 0;
+    });
+    if (!isReefMatch) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+// Parameters for add_s2_cloud_shadow_mask(). The mask is made from two
+// calls to get_s2_cloud_shadow_mask(), one for low clouds and one for high
+// clouds. Each has:
+//   cloudProbThresh - (0-100) COPERNICUS/S2_CLOUD_PROBABILITY threshold
+//   erosion -         (m) Erosion to remove small clouds
+//   cloudHeight -     (km) Assumed cloud top height. The cloud mask is projected
+//                     cloudHeight x tan(solar zenith) to cover the shadows, so
+//                     low sun (winter) scenes get longer shadows than summer scenes.
+//   projDist -        (km) Fixed distance to project the cloud mask. Used instead
+//                     of cloudHeight if cloudHeight is not specified.
+//   buffer -          (m) Final buffer applied to the mask
+// An optional third class, cirrus, detects high cloud from the B10 cirrus band
+// rather than the cloud probability:
+//   cirrus: {b10Thresh: 100, erosion: 0, cloudHeight: 8, buffer: 300}
+//   b10Thresh -       B10 brightness above which pixels are treated as cirrus.
+// The cloud heights were chosen to give approximately the previous fixed
+// projection distances (0.4 km and 1.5 km) at a solar zenith angle of 30 degrees.
+// The optional waterShadow setting controls how shadows are found over water:
+//   'detect'     - (default) Only mask the pixels in the projected shadow zone
+//                  that are darker than the surrounding water.
+//   'projection' - Mask the whole projected shadow zone over water. This was
+//                  the original behaviour and is the more conservative option.
+// Treat the cloud shadow distance differently for low and high cloud.
+// High thick clouds can produce long shadows that can muck up the image.
+// There is no direct way to determine which clouds will throw long dark shadows
+// however it was found from experimentation that setting a high cloud
+// probability tended to pick out the thicker clouds that also through
+// long shadows. It is unclear how robust this approach is though.
+// 'none' turns off the cloud masking.
+exports.CLOUD_MASK_PRESETS = {
+  'default': {
+    low: {
+      cloudProbThresh: 40,  // Use low probability to pick up smaller
+                            // clouds. This threshold still misses a lot of small clouds. 
+                            // unfortunately lowering the threshold anymore results in sand cays
+                            // being detected as clouds.
+      erosion: 0,           // Keep small clouds.
+      cloudHeight: 0.7,     // Low cumulus
+      buffer: 150
+    },
+    high: {
+      cloudProbThresh: 80,  // Use high cloud probability to pick up mainly larger solid clouds
+      erosion: 300,         // Remove small clouds because we are trying to just detect
+                            // the large clouds that will throw long shadows.
+      cloudHeight: 2.6,     // Taller clouds throw a longer shadow
+      buffer: 300
+    }
+  },
+  // For tiles with many bright sand cays that are partly detected as cloud.
+  // The higher low cloud threshold misses more small clouds.
+  'cay-safe': {
+    low: {cloudProbThresh: 60, erosion: 0, cloudHeight: 0.7, buffer: 100},
+    high: {cloudProbThresh: 85, erosion: 300, cloudHeight: 2.6, buffer: 300}
+  },
+  // For tiles with few clear images where residual small clouds and their
+  // shadows remain in the composite. This will mask out some sand cays.
+  'aggressive': {
+    low: {cloudProbThresh: 30, erosion: 0, cloudHeight: 1, buffer: 250},
+    high: {cloudProbThresh: 70, erosion: 200, cloudHeight: 3.5, buffer: 400},
+    cirrus: {b10Thresh: 100, erosion: 0, cloudHeight: 8, buffer: 300}
+  },
+  'none': null
+};
+
+/**
+ * Returns the cloud mask parameters for the cloudMask option of 
+ * s2_composite_display_and_export().
+ * @param {string|object} cloudMask - Name of one of the CLOUD_MASK_PRESETS or
+ *      a custom set of parameters with the same structure as the presets, i.e.
+ *      {low: {cloudProbThresh: 50, erosion: 0, cloudHeight: 1, buffer: 150},
+ *       high: {cloudProbThresh: 80, erosion: 300, cloudHeight: 3, buffer: 300}}
+ *      If undefined then the 'default' preset is used.
+ * @return {object} Cloud mask parameters, null if no cloud masking should be
+ *      applied or undefined if cloudMask is not a known preset or the custom
+ *      parameters don't have the structure of the presets.
+ */
+exports.get_cloud_mask_params = function(cloudMask) {
+  if (cloudMask === undefined) {
+    return exports.CLOUD_MASK_PRESETS['default'];
+  }
+  if (typeof cloudMask === 'string') {
+    return exports.CLOUD_MASK_PRESETS[cloudMask];
+  }
+  if (cloudMask === null || typeof cloudMask !== 'object' ||
+      !is_valid_cloud_class(cloudMask.low, 'cloudProbThresh') || 
+      !is_valid_cloud_class(cloudMask.high, 'cloudProbThresh') ||
+      (cloudMask.cirrus !== undefined && !is_valid_cloud_class(cloudMask.cirrus, 'b10Thresh')) ||
+      (cloudMask.waterShadow !== undefined && 
+        ['detect', 'projection'].indexOf(cloudMask.waterShadow) < 0)) {
+    return undefined;
+  }
+  return cloudMask;
+};
+
+/**
+ * Checks the parameters of one class of cloud in custom cloud mask parameters.
+ * Each class needs a numeric threshold, erosion and buffer and either a 
+ * cloudHeight or a projDist.
+ * @param {object} cloudClass - Cloud class parameters, i.e. the low, high or
+ *      cirrus parameters of CLOUD_MASK_PRESETS.
+ * @param {string} thresholdName - Name of the threshold parameter of the class.
+ * @return {boolean} True if the parameters are valid.
+ */
+function is_valid_cloud_class(cloudClass, thresholdName) {
+  if (cloudClass === null || typeof cloudClass !== 'object') {
+    return false;
+  }
+  var isNumber = function(name) {
+    return typeof cloudClass[name] === 'number';
+  };
+  return isNumber(thresholdName) && isNumber('erosion') && isNumber('buffer') &&
+    (isNumber('cloudHeight') || isNumber('projDist'));
+}
+
+/**
+ * Default parameters of remove_cirrus().
+ * The cirrus band (B10, 1375 nm) is in a strong water vapour absorption band and 
+ * so the surface is not visible in it. Any brightness in B10 is due to high
+ * cloud, mostly thin cirrus. Clear sky gives B10 values below about 10.
+ * Thin cirrus is nearly spectrally flat across the visible and near infrared
+ * and so a scalar of 1 is used for these bands.
+ */
+exports.CIRRUS_DEFAULT_PARAMS = {
+  method: 'subtract',
+  // B10 brightness of clear sky. Only the B10 brightness above this is subtracted.
+  background: 10,
+  // Amount of the B10 brightness to subtract from each band for 'subtract'.
+  bandScalars: {B1: 1, B2: 1, B3: 1, B4: 1, B5: 1, B8: 1},
+  // B10 brightness above which pixels are masked for 'mask'. 
+  threshold: 100
+};
+
+/**
+ * Returns the cirrus correction parameters for the cirrus option of 
+ * s2_composite_display_and_export().
+ * @param {string|object} cirrus - 'subtract', 'mask' or a set of parameters
+ *      with the same structure as CIRRUS_DEFAULT_PARAMS, i.e. 
+ *      {method: 'mask', threshold: 80}. Parameters that are not specified are 
+ *      taken from CIRRUS_DEFAULT_PARAMS.
+ *      If undefined or 'none' then no cirrus correction is applied.
+ * @return {object} Cirrus parameters, null if no cirrus correction should be
+ *      applied or undefined if cirrus is not valid.
+ */
+exports.get_cirrus_params = function(cirrus) {
+  if (cirrus === undefined || cirrus === null || cirrus === 'none') {
+    return null;
+  }
+  var p = typeof cirrus === 'string' ? {method: cirrus} : cirrus;
+  var defaults = exports.CIRRUS_DEFAULT_PARAMS;
+  var params = {};
+  Object.keys(defaults).forEach(function(key) {
+    params[key] = p.hasOwnProperty(key) ? p[key] : defaults[key];
+  });
+  if (params.method !== 'subtract' && params.method !== 'mask') {
+    return undefined;
+  }
+  return params;
+};
+
+/**
+ * Removes thin cirrus haze from a Sentinel 2 image using the cirrus band (B10).
+ * Thin cirrus passes the s2cloudless thresholds and shows up as soft bright smears, 
+ * particularly in the DeepFalse and DeepMarine styles. This should be applied to
+ * the images from get_s2_cloud_collection() before the sunglint correction so that 
+ * the cirrus brightness in B8 is not treated as sunglint.
+ * Methods:
+ *   'subtract' - Subtract the B10 brightness above the clear sky background from
+ *                each band, scaled by the band scalar.
+ *   'mask'     - Mask pixels where B10 is above the threshold.
+ * The method is recorded on the image as the property CIRRUS_CORRECTION.
+ * @param {ee.Image} img - Sentinel 2 image. Channels scaled from 0 - 10000.
+ * @param {object} cirrusParams - Cirrus parameters from get_cirrus_params().
+ * @return {ee.Image} Image with the cirrus removed or masked.
+ */
+exports.remove_cirrus = function(img, cirrusParams) {
+  var b10 = img.select('B10');
+  var corrected;
+  if (cirrusParams.method === 'mask') {
+    corrected = img.updateMask(b10.lte(cirrusParams.threshold));
+  } else {
+    var cirrus = b10.subtract(cirrusParams.background).max(0);
+    corrected = img;
+    Object.keys(cirrusParams.bandScalars).forEach(function(band) {
+      corrected = corrected.addBands(img.select(band)
+        .subtract(cirrus.multiply(cirrusParams.bandScalars[band])), [band], true);
+    });
+  }
+  return corrected.set('CIRRUS_CORRECTION', cirrusParams.method);
+};
 
 /**
  * This function estimates a mask for the clouds and the shadows and adds
@@ -226,39 +1169,34 @@ exports.s2_composite_display_and_export = function(
  * where high probability corresponds to obvious large clouds and lower
  * probabilities pick up smaller clouds. The filtering of high clouds is
  * further refined by performing a erosion and dilation to remove all 
- * clouds smaller than 300 m.
+ * clouds smaller than 300 m (with the default parameters).
+ * 
+ * The length of the shadows is estimated from the assumed height of each class
+ * of cloud and the solar zenith angle of the image.
+ * If the parameters include the cirrus class then high cloud detected from the
+ * B10 cirrus band is also masked and the mask is included as the cirruscloudmask band.
  * 
  * @param {ee.Image} img - Sentinel 2 image to add the cloud masks to.
+ * @param {object} maskParams - (optional) Low and high cloud parameters. See
+ *    CLOUD_MASK_PRESETS. Defaults to CLOUD_MASK_PRESETS['default'].
  * @return {ee.Image} Original image with extra bands highcloudmask, 
  *    lowcloudmask and cloudmask 
  */
-exports.add_s2_cloud_shadow_mask = function(img) {
-  // Treat the cloud shadow distance differently for low and high cloud.
-  // High thick clouds can produce long shadows that can muck up the image.
-  // There is no direct way to determine which clouds will throw long dark shadows
-  // however it was found from experimentation that setting a high cloud
-  // probability tended to pick out the thicker clouds that also through
-  // long shadows. It is unclear how robust this approach is though.
-  // Cloud probability threshold (%); values greater are considered cloud
+exports.add_s2_cloud_shadow_mask = function(img, maskParams) {
+  var params = maskParams || exports.CLOUD_MASK_PRESETS['default'];
   
   var low_cloud_mask = exports.get_s2_cloud_shadow_mask(img, 
-    40,   // (cloud predication prob) Use low probability to pick up smaller
-          // clouds. This threshold still misses a lot of small clouds. 
-          // unfortunately lowering the threshold anymore results in sand cays
-          // being detected as clouds.
-    0,    // (m) Erosion. Keep small clouds.
-    0.4,  // (km) Use a longer cloud shadow
-    150    // (m) buffer distance
+    params.low.cloudProbThresh, params.low.erosion, 
+    get_cloud_class_proj_dist(img, params.low), params.low.buffer,
+    {waterShadow: params.waterShadow}
   ).rename("lowcloudmask");
 
   
   // Try to detect high thick clouds. Assume that this throw a longer shadow.
   var high_cloud_mask = exports.get_s2_cloud_shadow_mask(img, 
-    80,   // Use high cloud probability to pick up mainly larger solid clouds
-    300,  // (m)  Erosion. Remove small clouds because we are trying to just detect
-          //      the large clouds that will throw long shadows.
-    1.5,  // (km) Use a longer cloud shadow
-    300   // (m) buffer distance
+    params.high.cloudProbThresh, params.high.erosion, 
+    get_cloud_class_proj_dist(img, params.high), params.high.buffer,
+    {waterShadow: params.waterShadow}
   ).rename("highcloudmask"); 
 
   
@@ -267,9 +1205,44 @@ exports.add_s2_cloud_shadow_mask = function(img) {
   //var cloud_mask = high_cloud_mask.gt(0).rename("cloudmask");
   //var cloud_mask = low_cloud_mask.gt(0).rename("cloudmask");
   
+  if (params.cirrus) {
+    var cirrus_cloud_mask = exports.get_s2_cloud_shadow_mask(img, 
+      null, params.cirrus.erosion, 
+      get_cloud_class_proj_dist(img, params.cirrus), params.cirrus.buffer,
+      {isCloud: img.select('B10').gt(params.cirrus.b10Thresh),
+       waterShadow: params.waterShadow}
+    ).rename("cirruscloudmask");
+    cloud_mask = cloud_mask.add(cirrus_cloud_mask).gt(0).rename("cloudmask");
+    return img.addBands(cloud_mask).addBands(high_cloud_mask).addBands(low_cloud_mask)
+      .addBands(cirrus_cloud_mask);
+  }
+  
   return img.addBands(cloud_mask).addBands(high_cloud_mask).addBands(low_cloud_mask);
 };
 
+/**
+ * Returns the length of the shadows of a cloud at the specified height in an image.
+ * The shadow length is the cloud height x tan(solar zenith angle), using the
+ * MEAN_SOLAR_ZENITH_ANGLE property of the image. The zenith angle is limited to
+ * 70 degrees so that very low sun scenes don't produce excessively long masks.
+ * @param {ee.Image} img - Sentinel 2 image.
+ * @param {number} cloudHeight - (km) Height of the cloud top.
+ * @return {ee.Number} (km) Length of the cloud shadows.
+ */
+exports.get_shadow_projection_distance = function(img, cloudHeight) {
+  var zenith = ee.Number(img.get('MEAN_SOLAR_ZENITH_ANGLE')).min(70);
+  return zenith.multiply(Math.PI/180).tan().multiply(cloudHeight);
+};
+
+// Returns the shadow projection distance (km) for one class of the cloud mask 
+// parameters, from the cloudHeight if specified, otherwise the fixed projDist.
+function get_cloud_class_proj_dist(img, cloudClass) {
+  if (cloudClass.hasOwnProperty('cloudHeight')) {
+    return exports.get_shadow_projection_distance(img, cloudClass.cloudHeight);
+  }
+  return cloudClass.projDist;
+}
+
 /**
  * This function creates a Sentinel 2 image collection with matching
  * cloud masks from the COPERNICUS/S2_CLOUD_PROBABILITY dataset
@@ -281,9 +1254,22 @@ exports.add_s2_cloud_shadow_mask = function(img) {
  *      in the image_ids. This can be calculated from the get_tiles_geometry 
  *      function. We pass this in as a precalculated result to ensure that
  *      it only needs to be calculated once.
- * @return {ee.ImageCollection} Sentinel 2 image collection with cloud mask
+ * @param {string} fallback - (optional) What to do with images that have no matching
+ *      COPERNICUS/S2_CLOUD_PROBABILITY image. See CLOUD_PROBABILITY_FALLBACKS.
+ *      Default 'drop'. The IDs of these images are printed to the console, as an
+ *      error when they are dropped, and are recorded in the 
+ *      missing_cloud_probability_ids property of the returned collection. Images
+ *      that are kept have the missing_cloud_probability property set to 1.
+ * @return {ee.ImageCollection} Sentinel 2 image collection with cloud mask, or
+ *      null if the fallback is not valid.
  */
-exports.get_s2_cloud_collection = function(image_ids, tiles_geometry) {
+exports.get_s2_cloud_collection = function(image_ids, tiles_geometry, fallback) {
+  var fallbackMode = fallback || 'drop';
+  if (exports.CLOUD_PROBABILITY_FALLBACKS.indexOf(fallbackMode) < 0) {
+    print("ERROR: Unknown cloud probability fallback: "+fallback+". Expected one of "+
+      exports.CLOUD_PROBABILITY_FALLBACKS.join(', '));
+    return null;
+  }
 
   // Create a collection from the specified image IDs. Note
   // we are assuming that these are Sentinel 2 images.
@@ -317,50 +1303,129 @@ exports.get_s2_cloud_collection = function(image_ids, tiles_geometry) {
       return s2_img.set('original_id', s2_img.get('system:index'));
     });
   
+  var joinCondition = 
+    ee.Filter.equals({leftField: 'original_id', rightField: 'original_id'});
+  
   // Join S2 SR with cloud probability dataset to add cloud mask.
-  return ee.ImageCollection(ee.Join.saveFirst('s2cloudless').apply({
+  var matched = ee.ImageCollection(ee.Join.saveFirst('s2cloudless').apply({
     primary: imageCollection,
     secondary: s2Clouds,
-    condition:
-      ee.Filter.equals({leftField: 'original_id', rightField: 'original_id'})
+    condition: joinCondition
   }));
+  
+  // Images without a cloud probability image would otherwise silently 
+  // disappear from the composite.
+  var missing = ee.ImageCollection(ee.Join.inverted().apply({
+    primary: imageCollection,
+    secondary: s2Clouds,
+    condition: joinCondition
+  }));
+  var missingIds = missing.aggregate_array('system:id');
+  
+  missingIds.evaluate(function(ids) {
+    if (!ids || ids.length === 0) {
+      return;
+    }
+    if (fallbackMode === 'drop') {
+      // The dropped images are still counted in the -n of the file names and 
+      // so validate_composite_export() refuses to export the composite.
+      print("ERROR: "+ids.length+" image(s) have no matching "+
+        "COPERNICUS/S2_CLOUD_PROBABILITY image and are dropped from the composite. "+
+        "The composite will not be exported. Remove these image IDs or set the "+
+        "cloudProbabilityFallback to 'qa60' or 'unmasked'", ids);
+    } else {
+      print("WARNING: "+ids.length+" image(s) have no matching "+
+        "COPERNICUS/S2_CLOUD_PROBABILITY image. Fallback: "+fallbackMode, ids);
+    }
+  });
+  
+  var result = matched;
+  if (fallbackMode !== 'drop') {
+    result = matched.merge(missing.map(function(s2_img) {
+      var probability;
+      if (fallbackMode === 'qa60') {
+        // Opaque cloud (bit 10) and cirrus (bit 11) flags. Treat these as 100% 
+        // cloud probability.
+        var qa = s2_img.select('QA60');
+        probability = qa.bitwiseAnd(1 << 10).or(qa.bitwiseAnd(1 << 11))
+          .gt(0).multiply(100);
+      } else {
+        // Give the constant the projection of the image so that it behaves
+        // like the cloud probability images in the reprojections of the
+        // cloud mask.
+        probability = ee.Image.constant(0)
+          .setDefaultProjection(s2_img.select('B2').projection());
+      }
+      return s2_img.set({
+        s2cloudless: probability.rename('probability'),
+        missing_cloud_probability: 1
+      });
+    }));
+  }
+  return result.set({
+    missing_cloud_probability_ids: missingIds,
+    cloud_probability_fallback: fallbackMode
+  });
 };
 
+// Options for images in get_s2_cloud_collection() that have no matching
+// COPERNICUS/S2_CLOUD_PROBABILITY image:
+//   'drop'     - Remove the image from the collection. Composites with dropped images
+//                are not exported as the file names would have the wrong image count.
+//   'qa60'     - Use the opaque and cirrus cloud flags of the QA60 band as the cloud 
+//                probability. The QA60 cloud flags are much coarser than s2cloudless.
+//   'unmasked' - Include the image with no cloud masking (0 cloud probability).
+// The {qualityMosaic: 'cloud'} reducer ranks 'qa60' and 'unmasked' images as 100% cloud.
+exports.CLOUD_PROBABILITY_FALLBACKS = ['drop', 'qa60', 'unmasked'];
+
 /**
  * Return the merged geometry of the listed Sentinel 2 image IDs.
  * @author  Eric Lawrey
  * @param {String[]} image_ids - Array of Sentinel 2 image IDs to find the 
  *       polygon bounds of.
- * @param {ee.Geometry.BBox} search_bbox -Bounding box to search for the image tiles
- *       This is used to limit the search size. A search size of Australia seems
- *       to be performat. Australia = ee.Geometry.BBox(109, -33, 158, -7)
+ * @param {ee.Geometry.BBox} search_bbox - (optional) Bounding box to search for the image 
+ *       tiles. This is used to limit the search size. If not specified then it is
+ *       determined from the UTM zones and latitude bands of the tiles, using
+ *       get_s2_tiles_search_bbox() in s2-image-id.js.
+ * @param {string} source - (optional) Where the tile footprints come from. See 
+ *       get_s2_tile_features(). Default 'grid'.
  * @return {ee.Geometry} Polygon feature corresponding to the union of all 
  *       image tiles
  */
-exports.get_s2_tiles_geometry = function(image_ids, search_bbox) {
+exports.get_s2_tiles_geometry = function(image_ids, search_bbox, source) {
+  // Merge all the features together
+  return exports.get_s2_tile_features(image_ids, search_bbox, source).geometry(0.1);
+};
+
+/**
+ * Return the features of the Sentinel 2 tiling grid for the tiles of the
+ * listed Sentinel 2 image IDs. Each feature has the tile ID as its Name property.
+ * Tiles that are not in the tiling grid, or are outside the search_bbox, are
+ * not included.
+ * @param {String[]} image_ids - Array of Sentinel 2 image IDs.
+ * @param {ee.Geometry.BBox} search_bbox - (optional) Bounding box to search for the
+ *       image tiles. See get_s2_tiles_geometry(). Not used for the 'mgrs' source.
+ * @param {string} source - (optional) Where the tile footprints come from:
+ *       'grid' - (default) The users/ericlawrey/World_ESA_Sentinel-2-tiling-grid asset.
+ *       'mgrs' - Calculated from the tile IDs with mgrs.js. This doesn't depend on
+ *                the tiling grid asset. All valid tile IDs are returned.
+ * @return {ee.FeatureCollection} Tiling grid features of the image tiles.
+ */
+exports.get_s2_tile_features = function(image_ids, search_bbox, source) {
   // Determine the set of UTM tiles that we have applied manual
-  // selection of images. 
+  // selection of images. Typically our image collection
+  // contains many images for the same tiles. We just want the unique
+  // tile IDs so we can then look them up in s2Tiles dataset without
+  // wasting time collating duplicate boundaries. 
   // Convert:
   // "COPERNICUS/S2/20170812T003031_20170812T003034_T55KDV"
   // To:
   // "55KDV"
-  var utmTiles = image_ids.map(function(id) {
-    // Find the position of the characters just before the UTM
-    // tile in the Sentinel-2 IDs. 
-    var n = id.lastIndexOf("_T")+2;
-    return id.substr(n);
-  });
+  var uniqueUtmTiles = s2_image_id.get_s2_tile_ids(image_ids);
   
-  // Remove duplicates in the tileIds. Typically our image collection
-  // contains many images for the same tiles. We just want the unique
-  // tile IDs so we can then look them up in s2Tiles dataset without
-  // wasting time collating duplicate boundaries. 
-  // Modified from 
-  // https://stackoverflow.com/questions/9229645/remove-duplicate-values-from-js-array
-  var seen = {};
-  var uniqueUtmTiles = utmTiles.filter(function(item) {
-        return seen.hasOwnProperty(item) ? false : (seen[item] = true);
-  });
+  if (source === 'mgrs') {
+    return exports.get_mgrs_tile_features(uniqueUtmTiles);
+  }
   
   // Used to find the geometry of the selected images. For more info checkout
   // https://eatlas.org.au/data/uuid/f7468d15-12be-4e3f-a246-b2882a324f59
@@ -369,11 +1434,148 @@ exports.get_s2_tiles_geometry = function(image_ids, search_bbox) {
   // Find the feature that corresponds to the specified tileID.
   // Filter to the search region. This is to reduce the number of tiles that need 
   // to be searched (maybe).
-  var searchTiles = s2Tiles.filterBounds(search_bbox);
-  var tileFeatures = searchTiles.filter(ee.Filter.inList('Name', uniqueUtmTiles));
+  var searchBbox = search_bbox || get_s2_tiles_search_bbox(uniqueUtmTiles);
+  var searchTiles = s2Tiles.filterBounds(searchBbox);
+  return searchTiles.filter(ee.Filter.inList('Name', uniqueUtmTiles));
+};
 
-  // Merge all the features together
-  return tileFeatures.geometry(0.1);
+/**
+ * Returns features with the footprints of the Sentinel 2 tiles calculated 
+ * from their MGRS tile IDs by mgrs.js. The features have the same Name property
+ * as the tiling grid so they can be used in place of the tiling grid features.
+ * Example: get_mgrs_tile_features(['55KFA']) 
+ * @param {String[]} tileIds - Sentinel 2 tile IDs such as "55KFA".
+ * @return {ee.FeatureCollection} Features with the tile footprints.
+ */
+exports.get_mgrs_tile_features = function(tileIds) {
+  return ee.FeatureCollection(tileIds.map(function(tileId) {
+    // The footprint edges are densified and so planar edges are used.
+    return ee.Feature(
+      ee.Geometry.Polygon([mgrs.get_s2_tile_footprint(tileId)], null, false),
+      {Name: tileId});
+  }));
+};
+
+// Returns the search box of the tiles from get_s2_tiles_search_bbox() as an 
+// ee.Geometry.BBox.
+function get_s2_tiles_search_bbox(tileIds) {
+  var bbox = s2_image_id.get_s2_tiles_search_bbox(tileIds);
+  return ee.Geometry.BBox(bbox[0], bbox[1], bbox[2], bbox[3]);
+}
+
+/**
+ * Checks that a composite can be exported before any export tasks are queued.
+ * A typo in an image ID or a tile outside the search box otherwise only shows 
+ * up when the export fails after waiting in the export queue.
+ * Checks that:
+ *  - each image ID exists in its collection,
+ *  - each tile is found in the Sentinel 2 tiling grid within the search box,
+ *  - the export region is not empty,
+ *  - no images were dropped from the composite for having no cloud probability
+ *    image. The dropped images would still be counted in the -n of the file names.
+ * The image, tile and region checks are done in a single request to the server.
+ * The cloud probability check is only made, in a second request, once all the
+ * images have been found, as the cloud collection can't be evaluated if one 
+ * of its image IDs doesn't exist. A pass / fail report is printed to the console.
+ * @param {string} name - Name of the composite used in the report.
+ * @param {String[]} imageIds - Sentinel 2 image IDs of the composite.
+ * @param {ee.Geometry.BBox} searchBbox - (optional) Search box used with 
+ *      get_s2_tiles_geometry().
+ * @param {string} tileGeometrySource - (optional) Source of the tile footprints.
+ *      See get_s2_tile_features().
+ * @param {ee.Geometry} region - Region to be exported.
+ * @param {ee.ImageCollection} cloudCollection - Collection of the composite 
+ *      images from get_s2_cloud_collection().
+ * @param {function} callback - function(passed) called with true if all the checks
+ *      passed.
+ */
+exports.validate_composite_export = function(
+    name, imageIds, searchBbox, tileGeometrySource, region, cloudCollection, callback) {
+  // Group the image IDs by collection so that each collection is only
+  // searched once.
+  var indexesByCollection = {};
+  imageIds.forEach(function(id) {
+    var parsed = s2_image_id.parse_s2_image_id(id);
+    var collection = parsed.collection || 'COPERNICUS/S2';
+    if (!indexesByCollection.hasOwnProperty(collection)) {
+      indexesByCollection[collection] = [];
+    }
+    indexesByCollection[collection].push(parsed.index);
+  });
+  var foundIds = ee.List([]);
+  Object.keys(indexesByCollection).forEach(function(collection) {
+    foundIds = foundIds.cat(ee.ImageCollection(collection)
+      .filter(ee.Filter.inList('system:index', indexesByCollection[collection]))
+      .aggregate_array('system:index')
+      .map(function(index) {
+        return ee.String(collection+'/').cat(index);
+      }));
+  });
+  
+  var checks = ee.Dictionary({
+    foundIds: foundIds,
+    foundTiles: exports.get_s2_tile_features(imageIds, searchBbox, tileGeometrySource)
+      .aggregate_array('Name'),
+    regionArea: region.area(1)
+  });
+  
+  var report = function(problems) {
+    if (problems.length > 0) {
+      print("Pre-flight check for "+name+": FAIL. No exports queued.\n - "+
+        problems.join("\n - "));
+      callback(false);
+      return;
+    }
+    print("Pre-flight check for "+name+": PASS");
+    callback(true);
+  };
+  
+  checks.evaluate(function(result, error) {
+    if (error) {
+      print("Pre-flight check for "+name+": FAIL\n - "+error);
+      callback(false);
+      return;
+    }
+    var problems = [];
+    var allFound = true;
+    imageIds.forEach(function(id) {
+      var parsed = s2_image_id.parse_s2_image_id(id);
+      var fullId = (parsed.collection || 'COPERNICUS/S2')+'/'+parsed.index;
+      if (result.foundIds.indexOf(fullId) < 0) {
+        problems.push("Image not found: "+id);
+        allFound = false;
+      }
+    });
+    s2_image_id.get_s2_tile_ids(imageIds).forEach(function(tile) {
+      if (result.foundTiles.indexOf(tile) < 0) {
+        problems.push("Tile "+tile+" not found in the tiling grid within the search box");
+      }
+    });
+    if (!(result.regionArea > 0)) {
+      problems.push("Export region is empty");
+    }
+    if (!allFound) {
+      // The cloud collection would fail to evaluate on the missing images.
+      report(problems);
+      return;
+    }
+    
+    ee.Dictionary({
+      missingCloudIds: cloudCollection.get('missing_cloud_probability_ids'),
+      cloudFallback: cloudCollection.get('cloud_probability_fallback')
+    }).evaluate(function(cloudResult, error) {
+      if (error) {
+        problems.push("Could not check the cloud probability images: "+error);
+      } else if (cloudResult.cloudFallback === 'drop' && 
+          cloudResult.missingCloudIds.length > 0) {
+        problems.push("Images dropped for having no COPERNICUS/S2_CLOUD_PROBABILITY image, "+
+          "so the -n of the file names would be wrong. Remove these image IDs or set the "+
+          "cloudProbabilityFallback to 'qa60' or 'unmasked': "+
+          cloudResult.missingCloudIds.join(", "));
+      }
+      report(problems);
+    });
+  });
 };
 
 /**
@@ -385,14 +1587,23 @@ exports.get_s2_tiles_geometry = function(image_ids, search_bbox) {
  * a large subtraction from the ocean areas at the edge of the cloud making
  * it black. In the fully clouded area the value of the compensation is
  * clipped resulting in white clouds.
- * @param {ee.Image} image - Sentinel 2 image. Channels scaled from 0 - 1.
- * @param {float} landAtmosOffset - Atmospheric compensation for land areas.
- *    Constant offset to apply over land areas in image. Typical values
- *    0.02 - 0.04.
- * @return {ee.Image} RGB image based on bands B2 - B4 with sunglint
- *    removal based on B8.
+ * The coefficients used are recorded on the returned image as the properties
+ * SUNGLINT_B1_SCALAR - SUNGLINT_B4_SCALAR, SUNGLINT_SHALLOW_OFFSET, SUNGLINT_LAND_THRES
+ * and SUNGLINT_LAND_ATMOS_OFFSET so that composites made with different
+ * parameters can be compared and reproduced.
+ * @param {ee.Image} image - Sentinel 2 image. Channels scaled from 0 - 10000.
+ * @param {object} params - (optional) Coefficients of the correction. Any that are 
+ *    not specified are taken from SUNGLINT_DEFAULT_PARAMS.
+ *        [{object}] bandScalars - Scaling of the correction for each of the 
+ *                              visible bands, i.e. {B1: 0.75, B2: 0.8}
+ *        [{number}] shallowOffset - Offset subtracted from B8 - B11 in the
+ *                              shallow area detection.
+ *        [{number}] landThres - B8 brightness above which pixels are treated as land.
+ *        [{number}] landAtmosOffset - Atmospheric compensation for land areas.
+ *                              Constant offset to apply over land areas in image. 
+ * @return {ee.Image} Image with sunglint removed from bands B1 - B4, based on B8.
  */ 
-exports.removeSunGlint = function(image) {
+exports.removeSunGlint = function(image, params) {
   
   // Sun Glint Correction
   // Previously I had used the the near-infra red B8 channel for sun glint removal.
@@ -415,14 +1626,10 @@ exports.removeSunGlint = function(image) {
   // In open water areas we don't want any correction to be applied as the 20 m pixel
   // size from B11 will introduce noise into the image, we therefore want this correction
   // to be entirely black (0) for open water. For this reason we subtract a small amount
-  // from the B8, B11 difference.
+  // from the B8, B11 difference (shallowOffset).
   // We then subtract this correction factor to the B8 channel so that we should have
   // the normal B8 sunglint correction with toned down correction in very shallow areas.
-  var shallowCorrectImg = image.expression('(B8-B11)-200', {
-    'B11':image.select('B11'),
-    'B8' :image.select('B8')
-  }).clamp(0,10000);
-  var rawSunGlint = image.select('B8').subtract(shallowCorrectImg);
+  // This is applied in apply_sunglint_correction().
   
   // We don't want to apply sunglint correction to land areas. The B8 channel is very bright
   // for land areas, much brighter than the visible channels (B2, B3, B4) and so simply 
@@ -452,8 +1659,9 @@ exports.removeSunGlint = function(image) {
   // average out somewhat. 
   // To further refine the land atmospheric correction we allow manual control over the 
   // land atmospheric offset. 
-
-  var LAND_THRES = 600;    // Linear up to this threshold (sunglint correction)
+  
+  // Default parameters (SUNGLINT_DEFAULT_PARAMS):
+  // landThres = 600          Linear up to this threshold (sunglint correction)
                             // Sunglint in very reflective scenes can reach 900 however
                             // Setting the threshold that high results in an overlap in
                             // close in land areas and shadow areas on land, leading them
@@ -463,13 +1671,154 @@ exports.removeSunGlint = function(image) {
                             // in most scenes, but not affecting the land sea boundary too
                             // much. 
                             // Setting this threshold on an image by image process would be
-                            // optimal, but not implemented. 
- var LAND_ATMOS_OFFSET = 280; // Offset to apply to the land areas to compensate for 
+                            // optimal. This is done by removeSunGlintAdaptive(). 
+  // landAtmosOffset = 280    Offset to apply to the land areas to compensate for 
                             // atmospheric haze. This is a very poor mans correction
                             // because it is constant over all time and space. 
                             // Some images will be darker than ideal and some will
                             // be lighter. 
  
+  return apply_sunglint_correction(image, exports.get_sunglint_params(params));
+};
+
+// Default coefficients of removeSunGlint(). The band scalars were tuned against 
+// the Lihou and Marion reef reference images. See the comments in removeSunGlint()
+// and apply_sunglint_correction() for how these were chosen.
+exports.SUNGLINT_DEFAULT_PARAMS = {
+  bandScalars: {B1: 0.75, B2: 0.75, B3: 0.9, B4: 1},
+  shallowOffset: 200,
+  landThres: 600,
+  landAtmosOffset: 280
+};
+
+/**
+ * Fills in any sunglint correction coefficients that are not specified with the 
+ * values from SUNGLINT_DEFAULT_PARAMS. The band scalars are filled in individually
+ * so {bandScalars: {B2: 0.8}} only changes the B2 scalar.
+ * @param {object} params - Sunglint parameters (see removeSunGlint()) or undefined.
+ * @return {object} Complete set of sunglint parameters.
+ */
+exports.get_sunglint_params = function(params) {
+  var defaults = exports.SUNGLINT_DEFAULT_PARAMS;
+  var p = params || {};
+  var bandScalars = {};
+  Object.keys(defaults.bandScalars).forEach(function(band) {
+    bandScalars[band] = (p.bandScalars && p.bandScalars.hasOwnProperty(band)) ?
+      p.bandScalars[band] : defaults.bandScalars[band];
+  });
+  return {
+    bandScalars: bandScalars,
+    shallowOffset: p.hasOwnProperty('shallowOffset') ? p.shallowOffset : defaults.shallowOffset,
+    landThres: p.hasOwnProperty('landThres') ? p.landThres : defaults.landThres,
+    landAtmosOffset: p.hasOwnProperty('landAtmosOffset') ? 
+      p.landAtmosOffset : defaults.landAtmosOffset
+  };
+};
+
+/**
+ * Sunglint correction of removeSunGlint() with a per image land threshold and 
+ * land atmospheric offset. The glint level of the scene is estimated from the
+ * B8 brightness of the water in the scene using estimate_sunglint_thresholds().
+ * In scenes with strong glint the open water B8 can exceed the fixed 600 land 
+ * threshold, leaving patches of glint uncorrected, while in scenes with little
+ * glint a lower threshold reduces the chance of bright shallow reef flats
+ * being treated as water and crushed to black.
+ * The estimated glint level is recorded on the returned image as the property
+ * SUNGLINT_GLINT_LEVEL, along with the coefficients recorded by removeSunGlint().
+ * @param {ee.Image} image - Sentinel 2 image. Channels scaled from 0 - 10000.
+ * @param {object} params - (optional) Band scalars and shallow offset as for 
+ *      removeSunGlint(). The landThres and landAtmosOffset are replaced by the 
+ *      estimated values.
+ * @return {ee.Image} Image with sunglint removed from bands B1 - B4.
+ */
+exports.removeSunGlintAdaptive = function(image, params) {
+  var thresholds = exports.estimate_sunglint_thresholds(image);
+  var sunglintParams = exports.get_sunglint_params(params);
+  sunglintParams.landThres = ee.Number(thresholds.get('SUNGLINT_LAND_THRES'));
+  sunglintParams.landAtmosOffset = ee.Number(thresholds.get('SUNGLINT_LAND_ATMOS_OFFSET'));
+  return apply_sunglint_correction(image, sunglintParams)
+    .set('SUNGLINT_GLINT_LEVEL', thresholds.get('SUNGLINT_GLINT_LEVEL'));
+};
+
+/**
+ * Estimates the sunglint level of a Sentinel 2 scene and derives the land / sea
+ * threshold and land atmospheric offset for the sunglint correction from it.
+ * 
+ * Water pixels are found as those where B8 is darker than B3 (land vegetation and 
+ * bare ground are brighter in the near infrared than green) and that are not
+ * bright enough to be cloud. The sample is then limited to optically deep water, 
+ * where B3 is well below B2. Shallow reef flats and sand are bright in B8 and 
+ * would otherwise be counted as glint. Glint adds a similar amount to B2 and B3
+ * and so this also holds in glinty deep water. Over deep water B8 is mostly 
+ * sunglint plus atmospheric path radiance. The 90th percentile of B8 over the 
+ * deep water is taken as the glint level (the brighter glint patches) and the 
+ * 10th percentile as the haze level (the water with the least glint).
+ * 
+ * The land threshold is set a margin above the glint level so that all the 
+ * glint gets corrected, limited to 600 - 1200. Scenes with little glint
+ * keep the original threshold of 600. The land atmospheric offset is shifted
+ * from 280 by how much hazier the scene is than a typical clear scene, limited
+ * to 150 - 500.
+ * If the scene has too few deep water pixels (i.e. fully clouded or a coastal
+ * scene with no deep water) the defaults of removeSunGlint() are used.
+ * @param {ee.Image} image - Sentinel 2 image. Channels scaled from 0 - 10000.
+ * @return {ee.Dictionary} Dictionary with SUNGLINT_GLINT_LEVEL, SUNGLINT_LAND_THRES and
+ *      SUNGLINT_LAND_ATMOS_OFFSET.
+ */
+exports.estimate_sunglint_thresholds = function(image) {
+  var GLINT_MARGIN = 250;         // Margin between the glint level and land threshold
+  var REFERENCE_HAZE_LEVEL = 100; // Approximate water B8 of a clear scene with no glint
+  var MAX_CLOUD_B2 = 2000;        // Anything brighter than this in B2 is treated as cloud
+  var MAX_DEEP_B3_B2_RATIO = 0.9; // Deep water is blue. Shallow areas have B3 close to or above B2
+  var MIN_DEEP_PIXELS = 100;      // Minimum sample size (200 m pixels, i.e. 4 km2)
+  
+  var deepWater = image.select('B8').lt(image.select('B3'))
+    .and(image.select('B2').lt(MAX_CLOUD_B2))
+    .and(image.select('B3').lt(image.select('B2').multiply(MAX_DEEP_B3_B2_RATIO)));
+  
+  // Use a coarse scale as we only need an approximate estimate of the distribution. 
+  var stats = image.select('B8').updateMask(deepWater).reduceRegion({
+    reducer: ee.Reducer.percentile([10, 90]).combine(ee.Reducer.count(), null, true),
+    geometry: image.geometry(),
+    scale: 200,
+    maxPixels: 1e8,
+    bestEffort: true
+  });
+  
+  // With too few deep water pixels the percentiles are unreliable, or null if
+  // there are none, and so the defaults are used.
+  var defaults = exports.SUNGLINT_DEFAULT_PARAMS;
+  var hasSample = ee.Number(stats.get('B8_count')).gte(MIN_DEEP_PIXELS);
+  var glintLevel = ee.Number(ee.Algorithms.If(
+    hasSample, stats.get('B8_p90'), defaults.landThres - GLINT_MARGIN));
+  var hazeLevel = ee.Number(ee.Algorithms.If(
+    hasSample, stats.get('B8_p10'), REFERENCE_HAZE_LEVEL));
+  
+  return ee.Dictionary({
+    SUNGLINT_GLINT_LEVEL: glintLevel,
+    SUNGLINT_LAND_THRES: glintLevel.add(GLINT_MARGIN).clamp(defaults.landThres, 1200),
+    SUNGLINT_LAND_ATMOS_OFFSET: hazeLevel.subtract(REFERENCE_HAZE_LEVEL)
+      .add(defaults.landAtmosOffset).clamp(150, 500)
+  });
+};
+
+/**
+ * Applies the sunglint correction of removeSunGlint() using the specified
+ * parameters and records them as properties of the image.
+ * @param {ee.Image} image - Sentinel 2 image. Channels scaled from 0 - 10000.
+ * @param {object} params - Complete set of parameters from get_sunglint_params().
+ *      landThres and landAtmosOffset may be ee.Numbers.
+ * @return {ee.Image} Image with sunglint removed from bands B1 - B4.
+ */
+function apply_sunglint_correction(image, params) {
+  var LAND_THRES = params.landThres;
+  var LAND_ATMOS_OFFSET = params.landAtmosOffset;
+  var shallowCorrectImg = image.expression('(B8-B11)-'+params.shallowOffset, {
+    'B11':image.select('B11'),
+    'B8' :image.select('B8')
+  }).clamp(0,10000);
+  var rawSunGlint = image.select('B8').subtract(shallowCorrectImg);
+  
   // Linear ramp up to  LAND_THRES, set anything above this to the
   // fixed atmospheric threshold we want to apply to land areas (LAND_ATMOS_OFFSET).
   //            ^ LAND_THRES **
@@ -487,7 +1836,8 @@ exports.removeSunGlint = function(image) {
   // found that mangrove areas tended to be treated as water and thus
   // end up being black. Switching to B8 fixed this problem. Presumably
   // mangroves are much brighter on B8 than in B11.
-  var sunglintCorr = rawSunGlint.where(b8.gt(LAND_THRES),LAND_ATMOS_OFFSET);
+  var sunglintCorr = rawSunGlint.where(b8.gt(ee.Image.constant(LAND_THRES)),
+    ee.Image.constant(LAND_ATMOS_OFFSET));
 
   // Apply the sunglint and land atmospheric correction to the visible
   // channels.
@@ -508,14 +1858,24 @@ exports.removeSunGlint = function(image) {
   // On this reef the B2 sunglint correction seems too low at 0.75
   // COPERNICUS/S2/20180212T001111_20180212T001105_T56KME (Marion Reef Coral Sea)
   
+  var scalars = params.bandScalars;
   var  sunGlintComposite =  image
-    .addBands(image.select('B1').subtract(sunglintCorr.multiply(0.75)),['B1'], true)
-    .addBands(image.select('B2').subtract(sunglintCorr.multiply(0.75)),['B2'], true)
-    .addBands(image.select('B3').subtract(sunglintCorr.multiply(0.9)),['B3'], true)
-    .addBands(image.select('B4').subtract(sunglintCorr.multiply(1)),['B4'], true);
+    .addBands(image.select('B1').subtract(sunglintCorr.multiply(scalars.B1)),['B1'], true)
+    .addBands(image.select('B2').subtract(sunglintCorr.multiply(scalars.B2)),['B2'], true)
+    .addBands(image.select('B3').subtract(sunglintCorr.multiply(scalars.B3)),['B3'], true)
+    .addBands(image.select('B4').subtract(sunglintCorr.multiply(scalars.B4)),['B4'], true)
+    .set({
+      SUNGLINT_B1_SCALAR: scalars.B1,
+      SUNGLINT_B2_SCALAR: scalars.B2,
+      SUNGLINT_B3_SCALAR: scalars.B3,
+      SUNGLINT_B4_SCALAR: scalars.B4,
+      SUNGLINT_SHALLOW_OFFSET: params.shallowOffset,
+      SUNGLINT_LAND_THRES: LAND_THRES,
+      SUNGLINT_LAND_ATMOS_OFFSET: LAND_ATMOS_OFFSET
+    });
 
   return(sunGlintComposite);
-};
+}
 
 /**
  * This function is deprecated in preference of 'removeSunGlint()'.
@@ -624,16 +1984,146 @@ exports.removeSunGlintB8 = function(img) {
     .addBands(B2.subtract(B8new),['B2'], true);
 };
 
+/**
+ * Regression based sunglint correction (Hedley et al. 2005, based on Lyzenga 1985).
+ * For each of the visible bands a linear regression of the band against B8 is
+ * made over a sample of deep water pixels. The slope of the regression is the
+ * amount of glint in the band for each unit of glint in B8. The glint is then
+ * removed from each visible band as:
+ *    Bi' = Bi - slope_i * (B8 - minNIR)
+ * where minNIR is the ambient B8 brightness of deep water with no glint, taken
+ * as the 1st percentile of B8 over the deep water sample.
+ * 
+ * Unlike removeSunGlint() the amount of correction in each band is derived from 
+ * each image rather than being hand tuned. The method assumes that B8 is 
+ * only due to glint over water and so shallow reef flats that are visible 
+ * in B8 will be overcorrected. The correction is not applied to pixels brighter 
+ * than the land threshold in B8, so land areas are left uncorrected.
+ *
+ * The slopes and minimum NIR are recorded on the image as the properties
+ * SUNGLINT_HEDLEY_B1_SLOPE - SUNGLINT_HEDLEY_B4_SLOPE and SUNGLINT_HEDLEY_NIR_MIN.
+ * If there are no water pixels to sample (i.e. a fully clouded scene or a
+ * deepWaterRegion outside the image) the regression can't be made and so
+ * removeSunGlint() is applied instead, with SUNGLINT_HEDLEY_FALLBACK set to 1.
+ * @param {ee.Image} image - Sentinel 2 image. Channels scaled from 0 - 10000.
+ * @param {object} params - (optional)
+ *        [{ee.Geometry}] deepWaterRegion - Area of optically deep water with a range 
+ *                              of glint to sample. If not specified all the water
+ *                              pixels darker than landThres in B8 are sampled. 
+ *                              Specifying a region gives a more reliable fit.
+ *        [{number}] landThres - B8 brightness above which pixels are treated as land
+ *                              and are not corrected. Default 600.
+ * @return {ee.Image} Image with sunglint removed from bands B1 - B4.
+ */
+exports.removeSunGlintHedley = function(image, params) {
+  var p = params || {};
+  var landThres = p.hasOwnProperty('landThres') ? p.landThres : 
+    exports.SUNGLINT_DEFAULT_PARAMS.landThres;
+  var region = p.deepWaterRegion || image.geometry();
+  var bands = ['B1', 'B2', 'B3', 'B4'];
+  
+  var b8 = image.select('B8');
+  // Water is darker in B8 than B3. Also exclude cloud and land.
+  var water = b8.lt(image.select('B3'))
+    .and(b8.lt(landThres))
+    .and(image.select('B2').lt(2000));
+  
+  // Regress all the visible bands against B8 in one pass. The constant 
+  // band gives the intercept in row 0, and the slopes are in row 1.
+  var regression = ee.Image.constant(1).addBands(b8).addBands(image.select(bands))
+    .updateMask(water)
+    .reduceRegion({
+      reducer: ee.Reducer.linearRegression({numX: 2, numY: bands.length}),
+      geometry: region,
+      scale: 60,
+      maxPixels: 1e8,
+      bestEffort: true
+    });
+  // If there are no water pixels the coefficients and percentile are null. 
+  // Substitute zeros so the Hedley image can still be built, even though
+  // removeSunGlint() is used for these images.
+  var hasSample = ee.Algorithms.If(regression.get('coefficients'), true, false);
+  var zeros = ee.List.repeat(ee.List.repeat(0, bands.length), 2);
+  var slopes = ee.Array(ee.Algorithms.If(hasSample, regression.get('coefficients'), zeros))
+    .slice(0, 1, 2).project([1]);
+  
+  var nirMinValue = b8.updateMask(water).reduceRegion({
+      reducer: ee.Reducer.percentile([1]),
+      geometry: region,
+      scale: 60,
+      maxPixels: 1e8,
+      bestEffort: true
+    }).get('B8');
+  var nirMin = ee.Number(ee.Algorithms.If(nirMinValue, nirMinValue, 0));
+  
+  // Only correct water pixels. Don't make the correction negative
+  // where B8 is darker than the ambient level, i.e. in cloud shadows.
+  var glint = b8.subtract(nirMin).max(0).where(b8.gt(landThres), 0);
+  
+  var corrected = image;
+  var properties = {SUNGLINT_HEDLEY_NIR_MIN: nirMin};
+  bands.forEach(function(band, i) {
+    var slope = ee.Number(slopes.get([i]));
+    corrected = corrected.addBands(
+      image.select(band).subtract(glint.multiply(slope)), [band], true);
+    properties['SUNGLINT_HEDLEY_'+band+'_SLOPE'] = slope;
+  });
+  return ee.Image(ee.Algorithms.If(hasSample, 
+    corrected.set(properties), 
+    exports.removeSunGlint(image).set('SUNGLINT_HEDLEY_FALLBACK', 1)));
+};
+
+// Sunglint correction methods that can be selected by name, i.e. in the
+// sunglintMethod option of s2_composite_display_and_export().
+// Each function takes the image and an optional set of parameters.
+//   'default'  - removeSunGlint(). Hand tuned B8 / B11 correction.
+//   'adaptive' - removeSunGlintAdaptive(). removeSunGlint() with the land threshold
+//                estimated for each image.
+//   'hedley'   - removeSunGlintHedley(). Per image regression against B8.
+//   'B8'       - removeSunGlintB8(). Deprecated B8 only correction. Takes no parameters.
+//   'none'     - No sunglint correction.
+exports.SUNGLINT_METHODS = {
+  'default': function(img, params) { return exports.removeSunGlint(img, params); },
+  'adaptive': function(img, params) { return exports.removeSunGlintAdaptive(img, params); },
+  'hedley': function(img, params) { return exports.removeSunGlintHedley(img, params); },
+  'B8': function(img) { return exports.removeSunGlintB8(img); },
+  'none': function(img) { return img; }
+};
+
+/**
+ * Returns a function that applies the named sunglint correction method with 
+ * the specified parameters. The function is suitable for use with 
+ * ee.ImageCollection.map(), i.e.
+ * collection.map(utils.get_sunglint_function('hedley'))
+ * @param {string} method - Name of the method in SUNGLINT_METHODS. Default 'default'.
+ * @param {object} params - (optional) Parameters passed to the method.
+ * @return {function} Function that takes an image and returns the corrected
+ *      image, or null if the method is unknown.
+ */
+exports.get_sunglint_function = function(method, params) {
+  var name = method || 'default';
+  if (!exports.SUNGLINT_METHODS.hasOwnProperty(name)) {
+    return null;
+  }
+  var sunglintMethod = exports.SUNGLINT_METHODS[name];
+  return function(img) {
+    return ee.Image(sunglintMethod(img, params)).set('SUNGLINT_METHOD', name);
+  };
+};
+
 
 /**
  * Estimate the cloud and shadow mask for a given image. This uses the following
  * algorithm:
  * 1. Estimate the dark pixels corresponding to cloud shadow pixels using a 
  *    threshold on the B8 channel. Note that this only works on land. On water
- *    this algorithm treats all water as a shadow.
+ *    this algorithm treats all water as a shadow. With the waterShadow option of
+ *    'detect' the dark pixels over water are instead found by comparing the
+ *    brightness with the surrounding water (see get_s2_water_shadow_pixels()).
  * 2. Calculate the angle of the shadows using the MEAN_SOLAR_AZIMUTH_ANGLE
  * 3. Create a cloud mask based on a probability threshold (cloud_prob_thresh) to 
- *    apply to the COPERNICUS/S2_CLOUD_PROBABILITY data.
+ *    apply to the COPERNICUS/S2_CLOUD_PROBABILITY data, or use the cloud mask
+ *    specified in the options.
  * 4. Apply a erosion and dilation (negative then positive buffer) to the 
  *    cloud mask. This removes all cloud features smaller than the
  *    erosion distance.
@@ -643,9 +2133,11 @@ exports.removeSunGlintB8 = function(img) {
  * 6. Multiply the dark pixels by the projected cloud shadow. On land this will crop
  *    the mask to just the cloud shadow. On water this will retain the whole cloud
  *    mask and cloud projection as all the water are considered dark pixels.
+ *    (With waterShadow 'detect' only the darkened water pixels are retained.)
  * 7. Add the shadow and cloud masks together to get a complete mask. This will
  *    ensure a full mask on land, and will have no effect on water areas as the 
- *    shadow mask already includes the clouded areas.
+ *    shadow mask already includes the clouded areas. With waterShadow 'projection'
+ *    the whole cloud projection is used as the mask.
  * 8. Apply a buffer to the mask to expand the area masked out. This is to 
  *    slightly overcome the imperfect nature of the cloud masks.
  * This assumes that the images were produced by get_s2_cloud_collection() and
@@ -664,14 +2156,22 @@ exports.removeSunGlintB8 = function(img) {
  *    bring the cloud mask features back to their original size (except those
  *    that were too small and thus disappeared) prior to shadow projection.
  *    This dilation has the same distance as the erosion.
- * @param {Number} cloud_proj_dist - (m) distance to project the cloud mask
- *    in the direction of shadows. 
+ * @param {Number|ee.Number} cloud_proj_dist - (km) distance to project the cloud mask
+ *    in the direction of shadows. See get_shadow_projection_distance(). 
  * @param {Number} buffer - (m) Final buffer to apply to the shadow projected
  *    cloud mask. This expands the mask in all directions and can be used to 
  *    catch more of the neighbouring cloud areas just outside the cloud
  *    masking.
+ * @param {object} options - (optional)
+ *    [{ee.Image}] isCloud - Cloud mask to use instead of the thresholded cloud
+ *                  probability, i.e. from the B10 cirrus band. cloud_prob_thresh
+ *                  is ignored if this is specified.
+ *    [{string}] waterShadow - 'detect' (default) to only mask the darkened water pixels
+ *                  in the shadow zone or 'projection' to mask the whole shadow zone.
  */
-exports.get_s2_cloud_shadow_mask = function(img, cloud_prob_thresh, erosion, cloud_proj_dist, buffer) {
+exports.get_s2_cloud_shadow_mask = function(img, cloud_prob_thresh, erosion, cloud_proj_dist, buffer, options) {
+  var opts = options || {};
+  var water_shadow = opts.waterShadow || 'detect';
   var SR_BAND_SCALE = 1e4;    // Sentinel2 channels are 0 - 10000.
   var NIR_DRK_THRESH = 0.15;  // Near-infrared reflectance; values less than are
                               // considered potential cloud shadow. This threshold was
@@ -689,8 +2189,9 @@ exports.get_s2_cloud_shadow_mask = function(img, cloud_prob_thresh, erosion, clo
   var shadow_azimuth = ee.Number(90).subtract(ee.Number(img.get('MEAN_SOLAR_AZIMUTH_ANGLE')));
   
   // Condition s2cloudless by the probability threshold value.
-  var is_cloud = ee.Image(img.get('s2cloudless')).select('probability')
-    .gt(cloud_prob_thresh).rename('allclouds');
+  var is_cloud = opts.isCloud ? opts.isCloud.rename('allclouds') :
+    ee.Image(img.get('s2cloudless')).select('probability')
+      .gt(cloud_prob_thresh).rename('allclouds');
   
   var is_cloud_erosion_dilation;
   
@@ -724,8 +2225,10 @@ exports.get_s2_cloud_shadow_mask = function(img, cloud_prob_thresh, erosion, clo
   // Project shadows from clouds for the distance specified by the cloud_proj_dist input.
   // We use a scale of 100 m to reduce the computations. This results is pixelated
   // results, however the buffer stage smooths this out.
+  // The distance is converted from km to 100 m pixels.
+  var cloud_proj_pixels = ee.Number(cloud_proj_dist).multiply(10).round().int();
   var cloud_proj = (is_cloud_erosion_dilation
-        .directionalDistanceTransform(shadow_azimuth, cloud_proj_dist*10)
+        .directionalDistanceTransform(shadow_azimuth, cloud_proj_pixels)
         .reproject({crs: img.select(0).projection(), scale: 100})
         .select('distance')
         .mask()
@@ -741,6 +2244,18 @@ exports.get_s2_cloud_shadow_mask = function(img, cloud_prob_thresh, erosion, clo
   //var is_cloud_or_shadow = is_cloud.add(shadows).gt(0);
   var is_cloud_or_shadow = cloud_proj;
   
+  if (water_shadow === 'detect') {
+    // Replace the dark pixel test over water with a comparison against the
+    // surrounding water, so that only the pixels that are darkened by the 
+    // shadow are masked. The B8 test is kept for land.
+    var is_water = img.select('B8').lt(img.select('B3'));
+    var water_dark_pixels = exports.get_s2_water_shadow_pixels(img, cloud_proj);
+    var shadow_pixels = dark_pixels.and(is_water.not()).or(is_water.and(water_dark_pixels));
+    is_cloud_or_shadow = cloud_proj.and(shadow_pixels)
+      .or(is_cloud_erosion_dilation.unmask(0))
+      .rename('cloud_transform');
+  }
+  
   var APPROX_BUFFER_PIXELS = 4;   // pixels
     // Find the resolution of the filter rounded to the nearest 10 m (Sentinel 2 resolultion)
     // Make sure that it isn't smaller than 20 m
@@ -759,6 +2274,45 @@ exports.get_s2_cloud_shadow_mask = function(img, cloud_prob_thresh, erosion, clo
 };
 
 
+/**
+ * Finds the water pixels in a cloud shadow zone that are darkened by the shadow.
+ * Over water B8 is too dark to use a fixed threshold to detect shadows. Instead
+ * the brightness of each pixel in the shadow zone is compared with the median
+ * brightness of the water within 2 km that is outside the shadow zone. Shadows
+ * reduce both the skylight and sunglint reflected from the surface and so the
+ * visible (B2, B3) and NIR (B8) brightness is used.
+ * Where there is no water outside the shadow zone within 2 km (i.e. in the 
+ * middle of large shadows) the pixels are treated as shadow.
+ * Bright shallow reefs next to deep water can make the deep water appear darker
+ * than its surroundings, leading to some unnecessary masking along reef edges.
+ * @param {ee.Image} img - Sentinel 2 image.
+ * @param {ee.Image} shadow_zone - Projected cloud shadow zone from 
+ *    get_s2_cloud_shadow_mask().
+ * @return {ee.Image} 1 where the pixel is darker than the surrounding water.
+ */
+exports.get_s2_water_shadow_pixels = function(img, shadow_zone) {
+  var DARK_FRACTION = 0.08;   // Fraction darker than the surrounding water
+                              // to be considered a shadow. This needs to be 
+                              // larger than the variation due to waves.
+  var BACKGROUND_RADIUS = 20; // (100 m pixels) Radius of the surrounding water
+  
+  var brightness = img.select(['B2', 'B3', 'B8']).reduce(ee.Reducer.sum());
+  var is_water = img.select('B8').lt(img.select('B3'));
+  
+  // Calculate the background at 100 m to reduce the computations.
+  var background = brightness
+    .updateMask(is_water.and(shadow_zone.unmask(0).not()))
+    .reduceNeighborhood({
+      reducer: ee.Reducer.median(),
+      kernel: ee.Kernel.circle(BACKGROUND_RADIUS)
+    })
+    .reproject({crs: img.select(0).projection(), scale: 100});
+  
+  return brightness.lt(background.multiply(1-DARK_FRACTION))
+    .unmask(1)
+    .rename('water_dark_pixels');
+};
+
 /**
  * Applies a contrast enhancement to the image, limiting the image
  * between the min and max and applying a gamma correction. This 